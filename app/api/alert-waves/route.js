@@ -0,0 +1,30 @@
+import { NextResponse } from 'next/server';
+import { processDueWaves } from '../../../lib/alert-waves';
+import { verifyCronSecret } from '../../../lib/webhook-auth';
+import { describeApiError, statusForApiError } from '../../../lib/api-client';
+
+/**
+ * ALERT WAVES CRON
+ *
+ * Sends queued alert waves whose delay has elapsed (see lib/alert-waves.js).
+ * Call on a schedule with `Authorization: Bearer <CRON_SECRET>` -
+ * Vercel Cron sends this header automatically when CRON_SECRET is set.
+ */
+
+export const dynamic = 'force-dynamic';
+
+export async function GET(request) {
+  if (!verifyCronSecret(request)) {
+    console.warn('Unauthorized alert-waves call rejected');
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+  }
+
+  try {
+    const results = await processDueWaves();
+    console.log(`Processed ${results.length} due waves`);
+    return NextResponse.json({ success: true, processed: results.length, results });
+  } catch (error) {
+    console.error('Alert waves error:', error);
+    return NextResponse.json({ error: describeApiError(error) }, { status: statusForApiError(error) });
+  }
+}
@@ -0,0 +1,89 @@
+import crypto from 'crypto';
+import { NextResponse } from 'next/server';
+import { verifyAdminRequest } from '../../../../lib/webhook-auth';
+import { createAlertEvent, getProductById } from '../../../../lib/restock';
+import { recordAlert } from '../../../../lib/alert-ledger';
+import { getEntry, updateEntry } from '../../../../lib/waitlist';
+import { describeApiError, statusForApiError } from '../../../../lib/api-client';
+
+/**
+ * RESEND ALERT
+ *
+ * Dashboard action for "I never got the email": sends the "Back In Stock Alert"
+ * again for one waitlist entry (a dashboard row), ignoring the dedupe window.
+ * The alert is recorded with trigger 'resend' and the staff member who sent it.
+ *
+ * POST { entry_id } with a staff session, or `Authorization: Bearer <ADMIN_API_TOKEN>`
+ * and `X-Staff-Name`.
+ */
+
+export const dynamic = 'force-dynamic';
+
+export async function POST(request) {
+  const auth = verifyAdminRequest(request);
+  if (!auth.ok) {
+    console.warn(`Unauthorized resend rejected: ${auth.reason}`);
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return NextResponse.json({ error: 'Invalid JSON body' }, { status: 400 });
+  }
+  if (!body || typeof body !== 'object') {
+    return NextResponse.json({ error: 'Invalid JSON body' }, { status: 400 });
+  }
+
+  const entryId = body.entry_id || body.entryId;
+  if (!entryId) {
+    return NextResponse.json({ error: 'Missing entry_id' }, { status: 400 });
+  }
+
+  try {
+    const entry = await getEntry(entryId);
+    if (!entry) {
+      return NextResponse.json({ error: 'Waitlist entry not found' }, { status: 404 });
+    }
+    if (!['waiting', 'alerted'].includes(entry.status)) {
+      return NextResponse.json({ error: `Entry is ${entry.status} - not resending` }, { status: 409 });
+    }
+
+    // Prefer live product data; fall back to what was stored at signup
+    const details = await getProductById(entry.productId);
+    const variant = details && entry.variantId && details.variants.find(v => v.id === entry.variantId);
+    const product = {
+      id: entry.productId,
+      title: details?.title || entry.productTitle || '',
+      handle: details?.handle || entry.productHandle || '',
+      url: details?.url || entry.productUrl || '',
+      image: details?.image || entry.productImage || '',
+      inventory: variant ? variant.inventory : (details?.inventory ?? null),
+    };
+
+    const sent = await createAlertEvent(entry.email, product, entry.variantId, [entry.id]);
+    if (!sent) {
+      return NextResponse.json({ error: 'Klaviyo rejected the alert event - see logs' }, { status: 502 });
+    }
+
+    const alertedAt = new Date().toISOString();
+    await updateEntry(entry.id, { status: 'alerted', alertedAt });
+    await recordAlert({
+      email: entry.email,
+      profileId: entry.profileId,
+      productId: entry.productId,
+      variantId: entry.variantId,
+      restockId: `resend:${crypto.randomUUID()}`,
+      trigger: 'resend',
+      triggeredBy: auth.actor,
+    });
+
+    console.log(`Alert resent by ${auth.actor}: ${entry.email} for product ${entry.productId}`);
+    return NextResponse.json({ success: true, email: entry.email, sentAt: alertedAt, triggeredBy: auth.actor });
+
+  } catch (error) {
+    console.error('Resend error:', error);
+    return NextResponse.json({ error: describeApiError(error) }, { status: statusForApiError(error) });
+  }
+}
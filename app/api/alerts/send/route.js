@@ -0,0 +1,99 @@
+import crypto from 'crypto';
+import { NextResponse } from 'next/server';
+import { verifyAdminRequest } from '../../../../lib/webhook-auth';
+import { findSubscribers, getProductById, getProductDetails, sendAlerts } from '../../../../lib/restock';
+import { getShopifyConfig } from '../../../../lib/shopify';
+import { setStatus } from '../../../../lib/waitlist';
+import { describeApiError, statusForApiError } from '../../../../lib/api-client';
+
+/**
+ * MANUAL SEND ALERT
+ *
+ * Dashboard action for a restock Flow missed: sends the "Back In Stock Alert"
+ * to everyone still waiting on a product (or one variant of it), right away
+ * and without waves. Subscribers alerted within the dedupe window are still
+ * skipped. Each alert is recorded with trigger 'manual' and the staff member
+ * who sent it.
+ *
+ * POST { product_id?, variant_id? } with a staff session, or
+ * `Authorization: Bearer <ADMIN_API_TOKEN>` and `X-Staff-Name`.
+ */
+
+export const dynamic = 'force-dynamic';
+
+export async function POST(request) {
+  const auth = verifyAdminRequest(request);
+  if (!auth.ok) {
+    console.warn(`Unauthorized manual send rejected: ${auth.reason}`);
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return NextResponse.json({ error: 'Invalid JSON body' }, { status: 400 });
+  }
+  if (!body || typeof body !== 'object') {
+    return NextResponse.json({ error: 'Invalid JSON body' }, { status: 400 });
+  }
+
+  const variantId = body.variant_id || body.variantId || null;
+  const productIdParam = body.product_id || body.productId || null;
+  if (!productIdParam && !variantId) {
+    return NextResponse.json({ error: 'Missing product_id or variant_id' }, { status: 400 });
+  }
+
+  if (!getShopifyConfig()) {
+    return NextResponse.json({ error: 'Shopify not configured' }, { status: 503 });
+  }
+
+  try {
+    const product = productIdParam
+      ? await getProductById(productIdParam)
+      : await getProductDetails(variantId);
+    if (!product) {
+      return NextResponse.json({ error: 'Product not found in Shopify' }, { status: 404 });
+    }
+
+    // Event shows the restocked variant's quantity when there is one
+    const variant = variantId && product.variants.find(v => v.id === String(variantId));
+    const target = {
+      id: product.id,
+      title: product.title,
+      handle: product.handle,
+      url: product.url,
+      image: product.image,
+      inventory: variant ? variant.inventory : product.inventory,
+    };
+
+    const { subscribers, ordered } = await findSubscribers(product.id, variantId, { statuses: ['waiting'] });
+    console.log(`Manual send by ${auth.actor}: product=${product.id}, variant=${variantId || '-'}, ${subscribers.length} waiting`);
+    if (ordered.length > 0) {
+      await setStatus(ordered.flatMap(sub => sub.entryIds), 'ordered', { orderedAt: new Date().toISOString() });
+    }
+
+    const sendId = crypto.randomUUID();
+    const { counts, results } = await sendAlerts(subscribers, target, {
+      variantId,
+      restockId: `manual:${sendId}`,
+      sendId,
+      trigger: 'manual',
+      triggeredBy: auth.actor,
+    });
+
+    return NextResponse.json({
+      success: true,
+      message: `Sent ${counts.sent} alerts`,
+      counts,
+      failures: results.filter(r => r.status === 'failed'),
+      subscribersFound: subscribers.length,
+      skippedOrdered: ordered.length,
+      triggeredBy: auth.actor,
+    });
+
+  } catch (error) {
+    console.error('Manual send error:', error);
+    return NextResponse.json({ error: describeApiError(error) }, { status: statusForApiError(error) });
+  }
+}
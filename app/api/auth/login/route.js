@@ -0,0 +1,73 @@
+import { NextResponse } from 'next/server';
+import {
+  SESSION_COOKIE,
+  createSessionToken,
+  getAllowedEmails,
+  getSessionMaxAgeSeconds,
+  isLoginConfigured,
+} from '../../../../lib/session';
+import { safeEqual } from '../../../../lib/webhook-auth';
+import { hitRateLimit, getClientIp } from '../../../../lib/rate-limit';
+
+/**
+ * STAFF LOGIN
+ *
+ * POST { email, password }. The password must match DASHBOARD_PASSWORD and, when
+ * DASHBOARD_ALLOWED_EMAILS is set, the email must be on that list. On success
+ * sets the signed session cookie (lib/session.js). The email is recorded as
+ * "who did it" on manual alert actions.
+ */
+
+export const dynamic = 'force-dynamic';
+
+const LOGIN_ATTEMPTS_PER_WINDOW = 10;
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+
+export async function POST(request) {
+  if (!isLoginConfigured()) {
+    console.error('Login unavailable: DASHBOARD_PASSWORD is not set');
+    return NextResponse.json({ error: 'Login is not configured' }, { status: 503 });
+  }
+
+  const ip = getClientIp(request);
+  const limit = hitRateLimit(`login:ip:${ip}`, LOGIN_ATTEMPTS_PER_WINDOW, LOGIN_WINDOW_MS);
+  if (!limit.allowed) {
+    return NextResponse.json(
+      { error: 'Too many login attempts. Please try again later.' },
+      { status: 429, headers: { 'Retry-After': String(limit.retryAfterSeconds) } }
+    );
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return NextResponse.json({ error: 'Invalid request' }, { status: 400 });
+  }
+  if (!body || typeof body !== 'object') {
+    return NextResponse.json({ error: 'Invalid request' }, { status: 400 });
+  }
+
+  const email = String(body.email || '').trim().toLowerCase();
+  const allowed = getAllowedEmails();
+
+  const passwordOk = safeEqual(String(body.password || ''), process.env.DASHBOARD_PASSWORD);
+  const emailOk = Boolean(email) && (allowed.length === 0 || allowed.includes(email));
+
+  if (!passwordOk || !emailOk) {
+    console.warn(`Login failed for ${email || '(no email)'} (ip=${ip})`);
+    return NextResponse.json({ error: 'Invalid email or password' }, { status: 401 });
+  }
+
+  const response = NextResponse.json({ success: true, email });
+  response.cookies.set(SESSION_COOKIE, await createSessionToken(email), {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    path: '/',
+    maxAge: getSessionMaxAgeSeconds(),
+  });
+
+  console.log(`Staff login: ${email}`);
+  return response;
+}
@@ -0,0 +1,15 @@
+import { NextResponse } from 'next/server';
+import { SESSION_COOKIE } from '../../../../lib/session';
+
+/**
+ * STAFF LOGOUT
+ *
+ * Clears the session cookie. Sessions also expire on their own after
+ * SESSION_MAX_AGE_HOURS.
+ */
+
+export async function POST() {
+  const response = NextResponse.json({ success: true });
+  response.cookies.set(SESSION_COOKIE, '', { httpOnly: true, path: '/', maxAge: 0 });
+  return response;
+}
@@ -0,0 +1,44 @@
+import { NextResponse } from 'next/server';
+import { getSubscriberSnapshot } from '../../../lib/subscribers';
+import { parseSubscriberQuery, filterSubscribers, listProducts } from '../../../lib/subscriber-query';
+import { buildDemand } from '../../../lib/demand';
+import { describeApiError, statusForApiError, RateLimitError } from '../../../lib/api-client';
+
+/**
+ * DEMAND API
+ *
+ * Subscriber snapshot grouped by product/variant (see lib/demand.js) for the
+ * dashboard's demand view. Accepts the same filters as /api/subscribers
+ * (sort and paging are ignored - every group is returned, most waiting first).
+ * `?refresh=1` forces a snapshot rebuild first. Also returns `products`, as
+ * /api/subscribers does.
+ */
+
+export const dynamic = 'force-dynamic';
+
+export async function GET(request) {
+  try {
+    const { searchParams } = request.nextUrl;
+    const forceRefresh = searchParams.get('refresh') === '1';
+    const { subscribers, ...snapshot } = await getSubscriberSnapshot({ forceRefresh });
+
+    const rows = filterSubscribers(subscribers, parseSubscriberQuery(searchParams));
+
+    return NextResponse.json({
+      ...snapshot,
+      demand: buildDemand(rows),
+      products: listProducts(subscribers),
+    });
+
+  } catch (error) {
+    console.error('Error:', error);
+    return NextResponse.json(
+      {
+        error: describeApiError(error),
+        rateLimited: error instanceof RateLimitError,
+        demand: [],
+      },
+      { status: statusForApiError(error) }
+    );
+  }
+}
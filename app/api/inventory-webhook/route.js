@@ -1,338 +1,305 @@
 import { NextResponse } from 'next/server';
+import { authenticateWebhook, logUnauthorized } from '../../../lib/webhook-auth';
+import { getIdempotencyKey, claimRequest, releaseRequest } from '../../../lib/alert-ledger';
+import { getMatchMode, buildAlertEvent } from '../../../lib/restock';
+import { planRestock, enqueueRestockJob, startRestockJob } from '../../../lib/restock-jobs';
+import { describeApiError, statusForApiError, RateLimitError, TimeoutError } from '../../../lib/api-client';
+import { getVariantByInventoryItemId } from '../../../lib/shopify';
+import { recordVariantQuantity, restoreVariantQuantity, getInventoryState } from '../../../lib/inventory-state';
+import { getSessionFromRequest } from '../../../lib/session';
+import { newWebhookCallId, logWebhookCall, payloadForLog } from '../../../lib/webhook-log';
 
 /**
  * INVENTORY WEBHOOK
  *
  * Called by Shopify Flow when inventory changes from 0 to 1+
- * Finds all customers who signed up for BIS alerts on this product
- * Creates "Back In Stock Alert" event in Klaviyo to trigger email flow
+ * Validates the request, queues a restock job and answers 202 with the job ID.
+ * The job (lib/restock-jobs.js) then finds everyone who signed up for BIS alerts
+ * on this product and creates "Back In Stock Alert" events in Klaviyo to trigger
+ * the email flow. Its progress is at GET /api/jobs/<jobId>.
+ *
+ * Requests must be authenticated (see lib/webhook-auth.js):
+ * - Shopify Flow: X-Webhook-Secret header matching INVENTORY_WEBHOOK_SECRET
+ * - Native Shopify webhooks: X-Shopify-Hmac-Sha256 signed with SHOPIFY_WEBHOOK_SECRET
+ *
+ * Alerts are idempotent (see lib/alert-ledger.js): replayed requests are ignored and
+ * subscribers already alerted for the same variant within the dedupe window are skipped.
+ *
+ * Also accepts Shopify's native inventory_levels/update webhook (X-Shopify-Topic).
+ * That payload only has the inventory item and a per-location level, so the variant
+ * is looked up and alerts fire only when its total quantity goes from 0 to 1+
+ * (last known quantities are kept in lib/inventory-state.js).
+ *
+ * With ALLOCATION_MODE=waves, only the earliest signups (up to a multiple of the
+ * inventory) are alerted now; the rest are queued for later waves (see lib/alert-waves.js).
+ *
+ * Dry run (?dryRun=1 or "dry_run": true in the body): resolves the product and
+ * subscribers straight away and returns who would be alerted, queued or skipped
+ * along with the Klaviyo event payloads - no job is queued, nothing is sent or recorded. The dashboard's
+ * "Preview alert" button uses this, so a dry run is also accepted from a signed-in
+ * staff session (lib/session.js) instead of the webhook secret.
+ *
+ * Every call is recorded in the webhook audit log (lib/webhook-log.js) with its payload
+ * and what was answered; the restock job adds the product, subscribers and alert results.
  */
 
-const KLAVIYO_API = 'https://a.klaviyo.com/api';
-const KLAVIYO_REVISION = '2024-02-15';
-
-function klaviyoHeaders() {
-  const key = process.env.KLAVIYO_PRIVATE_API_KEY;
-  if (!key) throw new Error('KLAVIYO_PRIVATE_API_KEY not set');
-  return {
-    'Authorization': `Klaviyo-API-Key ${key}`,
-    'Accept': 'application/json',
-    'Content-Type': 'application/json',
-    'revision': KLAVIYO_REVISION,
-  };
-}
-
-// Find all profiles who signed up for alerts on this product
-async function findSubscribers(productId, variantId) {
-  try {
-    // Find "Back In Stock Signup" metric
-    const metricsRes = await fetch(`${KLAVIYO_API}/metrics/`, {
-      headers: klaviyoHeaders(),
-    });
-
-    if (!metricsRes.ok) return [];
-
-    const metricsData = await metricsRes.json();
-    const signupMetric = (metricsData.data || []).find(m =>
-      m.attributes?.name?.toLowerCase() === 'back in stock signup'
-    );
-
-    if (!signupMetric) {
-      console.log('No "Back In Stock Signup" metric found');
-      return [];
-    }
-
-    // Fetch signup events
-    const eventsRes = await fetch(
-      `${KLAVIYO_API}/events/?filter=equals(metric_id,"${signupMetric.id}")&page[size]=100`,
-      { headers: klaviyoHeaders() }
-    );
-
-    if (!eventsRes.ok) return [];
-
-    const eventsData = await eventsRes.json();
-    const events = eventsData.data || [];
-
-    // Normalize IDs for comparison
-    const normalize = (id) => id?.toString().replace(/gid:\/\/shopify\/\w+\//g, '');
-    const normProductId = normalize(productId);
-    const normVariantId = normalize(variantId);
-
-    console.log(`Looking for signups: product=${normProductId}, variant=${normVariantId}`);
+const INVENTORY_LEVELS_TOPIC = 'inventory_levels/update';
 
-    // Find matching events and collect profile IDs
-    const profileIds = new Set();
-
-    for (const event of events) {
-      const props = event.attributes?.event_properties || {};
-      const eventProductId = normalize(props.ProductID);
-      const eventVariantId = normalize(props.VariantID);
-
-      // Match by product OR variant
-      const match = (eventProductId && eventProductId === normProductId) ||
-                    (eventVariantId && normVariantId && eventVariantId === normVariantId);
-
-      if (match) {
-        const profileId = event.relationships?.profile?.data?.id;
-        if (profileId) {
-          console.log(`Found signup: profile=${profileId}`);
-          profileIds.add(profileId);
-        }
-      }
-    }
-
-    // Fetch profile emails and dedupe by email
-    const subscribers = [];
-    const seenEmails = new Set();
-
-    for (const profileId of profileIds) {
-      try {
-        const profileRes = await fetch(`${KLAVIYO_API}/profiles/${profileId}/`, {
-          headers: klaviyoHeaders(),
-        });
-
-        if (profileRes.ok) {
-          const profileData = await profileRes.json();
-          const email = profileData.data?.attributes?.email?.toLowerCase();
-          if (email && !seenEmails.has(email)) {
-            seenEmails.add(email);
-            subscribers.push({ profileId, email });
-          }
-        }
-      } catch (e) {
-        console.log(`Failed to fetch profile ${profileId}:`, e.message);
-      }
-    }
-
-    return subscribers;
-
-  } catch (error) {
-    console.error('Error finding subscribers:', error);
-    return [];
+// Turn a native inventory_levels/update payload into a restock, if it is one.
+// Returns { restocked: true, variantId, productId, inventory, restore } or
+// { restocked: false, message }. The new quantity is recorded straight away, so a
+// concurrent delivery doesn't see the same restock; call restore() if it can't be queued.
+// A dry run compares against the last known quantity without recording the new one.
+async function resolveInventoryLevelUpdate(body, { dryRun = false } = {}) {
+  if (!body.inventory_item_id) {
+    return { restocked: false, message: 'Missing inventory_item_id' };
   }
-}
-
-// Create "Back In Stock Alert" event for a subscriber
-// This event TRIGGERS the Klaviyo email flow
-async function createAlertEvent(email, product) {
-  try {
-    const res = await fetch(`${KLAVIYO_API}/events/`, {
-      method: 'POST',
-      headers: klaviyoHeaders(),
-      body: JSON.stringify({
-        data: {
-          type: 'event',
-          attributes: {
-            metric: {
-              data: {
-                type: 'metric',
-                attributes: { name: 'Back In Stock Alert' }
-              }
-            },
-            profile: {
-              data: {
-                type: 'profile',
-                attributes: { email }
-              }
-            },
-            properties: {
-              ProductID: product.id,
-              ProductTitle: product.title,
-              ProductHandle: product.handle,
-              ProductURL: product.url,
-              ProductImage: product.image,
-              InventoryQuantity: product.inventory,
-              AlertDate: new Date().toISOString(),
-            }
-          }
-        }
-      })
-    });
-
-    if (!res.ok) {
-      const err = await res.text();
-      console.error(`Alert failed for ${email}:`, err);
-      return false;
-    }
-
-    console.log(`Alert sent for ${email}`);
-    return true;
 
-  } catch (error) {
-    console.error(`Error creating alert for ${email}:`, error);
-    return false;
+  const variant = await getVariantByInventoryItemId(body.inventory_item_id);
+  if (!variant) {
+    return { restocked: false, message: `No variant for inventory item ${body.inventory_item_id}` };
   }
-}
-
-// Look up product details from Shopify
-async function getProductDetails(variantId) {
-  const domain = process.env.SHOPIFY_STORE_DOMAIN;
-  const token = process.env.SHOPIFY_ADMIN_TOKEN;
 
-  if (!domain || !token || !variantId) return null;
+  const updatedAt = body.updated_at || new Date().toISOString();
+  const { previous, stale, replaced } = dryRun
+    ? { previous: (await getInventoryState())[variant.variantId]?.quantity ?? null, stale: false }
+    : await recordVariantQuantity(variant.variantId, variant.inventory, updatedAt);
+  console.log(`Inventory level update: variant=${variant.variantId}, ${previous ?? 'unknown'} -> ${variant.inventory}`);
 
-  // Extract numeric ID
-  let numericId = variantId;
-  if (variantId.includes('gid://')) {
-    numericId = variantId.split('/').pop();
+  if (stale) {
+    return { restocked: false, message: 'Out-of-order inventory update ignored' };
+  }
+  // An unknown previous quantity counts as 0: anyone still waiting on this
+  // variant should hear about it the first time we see it in stock
+  if (variant.inventory <= 0 || (previous !== null && previous > 0)) {
+    return { restocked: false, message: 'Not a restock (quantity did not go from 0 to positive)' };
   }
 
-  try {
-    // Get variant to find product ID
-    const variantRes = await fetch(
-      `https://${domain}/admin/api/2024-01/variants/${numericId}.json`,
-      {
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Shopify-Access-Token': token,
-        },
-      }
-    );
+  return {
+    restocked: true,
+    variantId: variant.variantId,
+    productId: variant.productId,
+    inventory: variant.inventory,
+    // Puts the previous quantity back if the restock can't be queued
+    restore: dryRun
+      ? null
+      : () => restoreVariantQuantity(variant.variantId, variant.inventory, updatedAt, replaced),
+  };
+}
 
-    if (!variantRes.ok) return null;
+// ?dryRun=1 (or true) on the URL, or "dry_run"/"dryRun": true in the body
+function isDryRun(request, body) {
+  const param = new URL(request.url).searchParams.get('dryRun');
+  return param === '1' || param === 'true' || body?.dry_run === true || body?.dryRun === true;
+}
 
-    const variantData = await variantRes.json();
-    const productId = variantData.variant?.product_id;
-    if (!productId) return null;
+const previewSubscriber = (sub) => ({
+  email: sub.email,
+  profileId: sub.profileId,
+  matchRule: sub.matchRule,
+  signupDate: sub.signupDate,
+});
+
+// Dry-run response: every matched subscriber with what a real call would do
+// for them, plus the Klaviyo event payloads for those alerted right away
+function buildPreview({ product, variantId, subscribers, ordered, toAlert, later, recentlyAlerted, matchCounts }) {
+  const alertNow = new Set(toAlert.map(sub => sub.email));
+  const queuedEmails = new Set(later.map(sub => sub.email));
+
+  const actionFor = (sub) => {
+    if (recentlyAlerted.has(sub.email)) return 'skip_already_alerted';
+    if (alertNow.has(sub.email)) return 'alert';
+    if (queuedEmails.has(sub.email)) return 'queue_next_wave';
+    return 'none';
+  };
 
-    // Get product details
-    const productRes = await fetch(
-      `https://${domain}/admin/api/2024-01/products/${productId}.json`,
-      {
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Shopify-Access-Token': token,
-        },
-      }
-    );
+  // Like the job, a missing quantity doesn't stop the alerts
+  const wouldSend = !(Number(product.inventory) <= 0);
 
-    if (!productRes.ok) return null;
+  return {
+    success: true,
+    dryRun: true,
+    message: wouldSend
+      ? `Would send ${toAlert.length} alerts`
+      : 'Inventory not positive - a real call would send no alerts',
+    wouldSend,
+    product,
+    variantId: variantId || null,
+    matchMode: getMatchMode(),
+    matchCounts,
+    counts: {
+      alert: toAlert.length,
+      queuedForNextWave: later.length,
+      skippedAlreadyAlerted: subscribers.filter(sub => recentlyAlerted.has(sub.email)).length,
+      skippedOrdered: ordered.length,
+    },
+    subscribers: [
+      ...subscribers.map(sub => ({ ...previewSubscriber(sub), action: actionFor(sub) })),
+      ...ordered.map(sub => ({ ...previewSubscriber(sub), action: 'skip_ordered' })),
+    ],
+    events: toAlert.map(sub => buildAlertEvent(sub.email, product, variantId, sub.entryIds)),
+  };
+}
 
-    const productData = await productRes.json();
-    const product = productData.product;
+export async function POST(request) {
+  let claimedKey = null;
+  let restoreQuantity = null;
+
+  // Audit log record for this call, filled in as the request is handled
+  const audit = { id: newWebhookCallId(), topic: request.headers.get('x-shopify-topic'), dryRun: false };
+  const reply = async (outcome, body, init) => {
+    await logWebhookCall({
+      ...audit,
+      outcome,
+      httpStatus: init?.status || 200,
+      message: body.message || body.error || null,
+    }).catch(error => console.error('Webhook audit log error:', error));
+    return NextResponse.json(body, init);
+  };
 
-    const inventory = (product.variants || []).reduce(
-      (sum, v) => sum + (v.inventory_quantity || 0), 0
-    );
+  try {
+    // Read the raw body first - HMAC verification needs the exact bytes
+    const rawBody = await request.text();
+
+    let body = null;
+    try {
+      body = JSON.parse(rawBody);
+    } catch {
+      // Reported below, after authentication
+    }
 
-    const storeDomain = domain.replace('.myshopify.com', '.com');
+    const dryRun = isDryRun(request, body);
 
-    return {
-      id: product.id.toString(),
-      title: product.title,
-      handle: product.handle,
-      url: `https://${storeDomain}/products/${product.handle}`,
-      image: product.image?.src || product.images?.[0]?.src || '',
-      inventory,
-    };
+    const auth = authenticateWebhook(request, rawBody);
+    const staffSession = !auth.ok && dryRun ? await getSessionFromRequest(request) : null;
+    if (!auth.ok && !staffSession) {
+      logUnauthorized(request, auth.reason);
+      audit.reason = auth.reason;
+      return reply('unauthorized', { error: 'Unauthorized' }, { status: 401 });
+    }
 
-  } catch (error) {
-    console.error('Error fetching product:', error);
-    return null;
-  }
-}
+    audit.auth = auth.ok ? auth.method : `session:${staffSession.email}`;
+    audit.dryRun = dryRun;
+    audit.payload = payloadForLog(body, rawBody);
 
-export async function POST(request) {
-  try {
-    const body = await request.json();
-    console.log('Webhook received:', JSON.stringify(body, null, 2));
+    if (!body || typeof body !== 'object') {
+      return reply('invalid', { error: 'Invalid JSON body' }, { status: 400 });
+    }
+    console.log(`Webhook received (auth=${audit.auth}${dryRun ? ', dry run' : ''}):`, JSON.stringify(body, null, 2));
+
+    // Native Shopify webhooks say what they are in X-Shopify-Topic; Flow requests don't
+    const { topic } = audit;
+    if (topic === INVENTORY_LEVELS_TOPIC) {
+      const update = await resolveInventoryLevelUpdate(body, { dryRun });
+      if (!update.restocked) {
+        return reply('ignored', { success: true, dryRun, message: update.message });
+      }
+      restoreQuantity = update.restore;
+      body = { product_id: update.productId, variant_id: update.variantId, inventory_quantity: update.inventory };
+    } else if (topic) {
+      console.log(`Ignoring unsupported webhook topic: ${topic}`);
+      return reply('ignored', { success: true, message: `Topic ${topic} not handled` });
+    }
 
     // Extract product info from payload
     // Shopify Flow can send different formats
-    let productId = body.product_id || body.productId || body.id;
-    let productTitle = body.product_title || body.productTitle || body.title || '';
-    let productHandle = body.product_handle || body.productHandle || body.handle || '';
-    let inventory = body.inventory_quantity || body.inventoryQuantity || body.quantity;
-    let productUrl = body.product_url || body.productUrl || '';
-    let productImage = body.product_image || body.productImage || body.image || '';
-    const variantId = body.variant_id || body.variantId;
-
-    // If we only have variant_id, look up the product
-    if (!productId && variantId) {
-      console.log('Looking up product from variant:', variantId);
-      const details = await getProductDetails(variantId);
-      if (details) {
-        productId = details.id;
-        productTitle = productTitle || details.title;
-        productHandle = productHandle || details.handle;
-        productUrl = productUrl || details.url;
-        productImage = productImage || details.image;
-        inventory = inventory ?? details.inventory;
-      }
-    }
+    const restock = {
+      productId: body.product_id || body.productId || body.id || null,
+      variantId: body.variant_id || body.variantId || null,
+      productTitle: body.product_title || body.productTitle || body.title || '',
+      productHandle: body.product_handle || body.productHandle || body.handle || '',
+      productUrl: body.product_url || body.productUrl || '',
+      productImage: body.product_image || body.productImage || body.image || '',
+      inventory: body.inventory_quantity || body.inventoryQuantity || body.quantity,
+    };
+    const { productId, variantId, inventory } = restock;
+    audit.productId = productId;
+    audit.variantId = variantId;
 
-    if (!productId) {
-      return NextResponse.json(
+    if (!productId && !variantId) {
+      return reply('invalid',
         { error: 'Missing product_id or variant_id' },
         { status: 400 }
       );
     }
 
-    console.log(`Processing: product=${productId} (${productTitle}), inventory=${inventory}`);
+    console.log(`Processing: product=${productId || '?'} (${restock.productTitle}), variant=${variantId || '?'}, inventory=${inventory}`);
+
+    if (dryRun) {
+      const plan = await planRestock(restock);
+      if (!plan.product) {
+        return reply('dry_run', { error: 'Product not found' }, { status: 404 });
+      }
+      const preview = buildPreview(plan);
+      audit.product = preview.product;
+      audit.subscribers = preview.subscribers;
+      return reply('dry_run', preview);
+    }
+
+    // Keep the last known quantity current for Flow requests too, so a later
+    // native update compares against it
+    if (!topic && variantId && Number.isFinite(Number(inventory))) {
+      await recordVariantQuantity(variantId, Number(inventory));
+    }
 
-    // Only send alerts if inventory > 0
+    // Only send alerts if inventory > 0 (when it's missing, the job looks it up)
     if (inventory <= 0) {
       console.log('Inventory <= 0, no alerts to send');
-      return NextResponse.json({
+      return reply('ignored', {
         success: true,
         message: 'Inventory not positive, no alerts sent',
-        alertsSent: 0
       });
     }
 
-    // Find subscribers for this product
-    const subscribers = await findSubscribers(productId, variantId);
-    console.log(`Found ${subscribers.length} subscribers`);
-
-    if (subscribers.length === 0) {
-      return NextResponse.json({
+    // Ignore replays of a request we've already processed (Flow retries, duplicate deliveries)
+    const idempotencyKey = getIdempotencyKey(request, rawBody);
+    if (!(await claimRequest(idempotencyKey))) {
+      console.log(`Duplicate webhook ignored: ${idempotencyKey}`);
+      return reply('duplicate', {
         success: true,
-        message: 'No subscribers found',
-        alertsSent: 0
+        duplicate: true,
+        message: 'Duplicate request ignored',
       });
     }
+    claimedKey = idempotencyKey;
 
-    // Send alert to each subscriber
-    const product = {
-      id: productId,
-      title: productTitle,
-      handle: productHandle,
-      url: productUrl,
-      image: productImage,
-      inventory,
-    };
+    const job = await enqueueRestockJob(restock, { restockId: idempotencyKey, logId: audit.id });
+    // From here the job owns the claim (it releases it if it finally fails)
+    claimedKey = null;
+    restoreQuantity = null;
+    audit.jobId = job.id;
+    audit.jobStatus = job.status;
 
-    let alertsSent = 0;
-    for (const sub of subscribers) {
-      const success = await createAlertEvent(sub.email, product);
-      if (success) alertsSent++;
-    }
-
-    console.log(`Sent ${alertsSent} alerts`);
-
-    return NextResponse.json({
+    // Logged before the job starts, so the job's own audit updates have a record to land on
+    const response = await reply('queued', {
       success: true,
-      message: `Sent ${alertsSent} alerts`,
-      alertsSent,
-      subscribersFound: subscribers.length,
-    });
+      queued: true,
+      jobId: job.id,
+      statusUrl: `/api/jobs/${job.id}`,
+      message: 'Restock queued',
+    }, { status: 202 });
+    startRestockJob(job.id);
+    return response;
 
   } catch (error) {
     console.error('Webhook error:', error);
-    return NextResponse.json({ error: error.message }, { status: 500 });
+    // Let the retry through - the alert ledger still stops repeat emails to anyone already sent
+    if (claimedKey) await releaseRequest(claimedKey).catch(() => {});
+    // ...and let it see the restock again
+    if (restoreQuantity) await restoreQuantity().catch(() => {});
+    audit.errors = [{ at: new Date().toISOString(), message: describeApiError(error) }];
+    return reply('error',
+      {
+        error: describeApiError(error),
+        rateLimited: error instanceof RateLimitError,
+        retryable: error instanceof RateLimitError || error instanceof TimeoutError,
+      },
+      { status: statusForApiError(error) }
+    );
   }
 }
 
-// GET for testing
+// GET health check - intentionally reveals nothing about the expected payload
 export async function GET() {
-  return NextResponse.json({
-    status: 'ok',
-    message: 'Inventory webhook ready. POST product data to trigger alerts.',
-    example: {
-      product_id: '123456789',
-      product_title: 'Product Name',
-      product_handle: 'product-name',
-      inventory_quantity: 10,
-    }
-  });
+  return NextResponse.json({ status: 'ok' });
 }
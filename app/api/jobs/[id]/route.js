@@ -0,0 +1,26 @@
+import { NextResponse } from 'next/server';
+import { getJob } from '../../../../lib/restock-jobs';
+
+/**
+ * RESTOCK JOB STATUS
+ *
+ * One restock job by ID - the `statusUrl` the inventory webhook returns.
+ * `status` is queued, running, completed or failed; once completed, `result`
+ * has the alert counts and `failures` lists subscribers whose alert still
+ * failed after retries.
+ */
+
+export const dynamic = 'force-dynamic';
+
+export async function GET(request, { params }) {
+  try {
+    const job = await getJob(params.id);
+    if (!job) {
+      return NextResponse.json({ error: 'Job not found' }, { status: 404 });
+    }
+    return NextResponse.json({ job });
+  } catch (error) {
+    console.error('Job status error:', error);
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
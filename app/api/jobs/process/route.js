@@ -0,0 +1,34 @@
+import { NextResponse } from 'next/server';
+import { processQueuedJobs } from '../../../../lib/restock-jobs';
+import { verifyCronSecret } from '../../../../lib/webhook-auth';
+import { describeApiError, statusForApiError } from '../../../../lib/api-client';
+
+/**
+ * RESTOCK JOB WORKER CRON
+ *
+ * Runs restock jobs still queued (waiting on a retry, or never started because
+ * the function was frozen after the webhook responded) and ones stuck running
+ * (see lib/restock-jobs.js). Call on a schedule with `Authorization: Bearer <CRON_SECRET>`.
+ */
+
+export const dynamic = 'force-dynamic';
+
+export async function GET(request) {
+  if (!verifyCronSecret(request)) {
+    console.warn('Unauthorized jobs/process call rejected');
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+  }
+
+  try {
+    const jobs = await processQueuedJobs();
+    console.log(`Processed ${jobs.length} restock jobs`);
+    return NextResponse.json({
+      success: true,
+      processed: jobs.length,
+      jobs: jobs.map(j => ({ id: j.id, status: j.status, result: j.result, error: j.error })),
+    });
+  } catch (error) {
+    console.error('Restock job worker error:', error);
+    return NextResponse.json({ error: describeApiError(error) }, { status: statusForApiError(error) });
+  }
+}
@@ -0,0 +1,23 @@
+import { NextResponse } from 'next/server';
+import { listJobs } from '../../../lib/restock-jobs';
+
+/**
+ * RESTOCK JOBS
+ *
+ * Recent restock jobs queued by the inventory webhook (see lib/restock-jobs.js),
+ * newest first. `?limit=` caps how many are returned (default 20).
+ */
+
+export const dynamic = 'force-dynamic';
+
+export async function GET(request) {
+  const limit = Math.min(parseInt(request.nextUrl.searchParams.get('limit'), 10) || 20, 200);
+
+  try {
+    const jobs = await listJobs({ limit });
+    return NextResponse.json({ jobs });
+  } catch (error) {
+    console.error('Job list error:', error);
+    return NextResponse.json({ error: error.message, jobs: [] }, { status: 500 });
+  }
+}
@@ -0,0 +1,23 @@
+import { NextResponse } from 'next/server';
+import { listRuns } from '../../../lib/reconcile';
+
+/**
+ * RECONCILIATION RUN LOG
+ *
+ * Recent reconciliation runs (see lib/reconcile.js), newest first, for the
+ * dashboard. `?limit=` caps how many are returned (default 10).
+ */
+
+export const dynamic = 'force-dynamic';
+
+export async function GET(request) {
+  const limit = Math.min(parseInt(request.nextUrl.searchParams.get('limit'), 10) || 10, 50);
+
+  try {
+    const runs = await listRuns();
+    return NextResponse.json({ runs: runs.slice(0, limit) });
+  } catch (error) {
+    console.error('Reconcile run log error:', error);
+    return NextResponse.json({ error: error.message, runs: [] }, { status: 500 });
+  }
+}
@@ -0,0 +1,74 @@
+import { NextResponse } from 'next/server';
+import { runReconciliation, getDefaultMode, RECONCILE_MODES } from '../../../lib/reconcile';
+import { verifyCronSecret, verifyAdminRequest } from '../../../lib/webhook-auth';
+import { getSessionFromRequest } from '../../../lib/session';
+import { getShopifyConfig } from '../../../lib/shopify';
+import { describeApiError, statusForApiError } from '../../../lib/api-client';
+
+/**
+ * RECONCILIATION
+ *
+ * Finds waiting subscribers whose item is in stock but who were never alerted
+ * (see lib/reconcile.js), and with mode 'send' alerts them.
+ *
+ * - GET: cron, with `Authorization: Bearer <CRON_SECRET>`. `?mode=report|send`,
+ *   default RECONCILE_MODE ('report').
+ * - POST { mode }: "Run now" from the dashboard (staff session), or scripts with
+ *   `Authorization: Bearer <ADMIN_API_TOKEN>` and `X-Staff-Name`. Default mode 'report'.
+ *
+ * Responds with the run record (also kept in the run log, /api/reconcile-runs).
+ * 409 if another run is still in progress.
+ */
+
+export const dynamic = 'force-dynamic';
+
+async function reconcile(mode, triggeredBy) {
+  if (!RECONCILE_MODES.includes(mode)) {
+    return NextResponse.json({ error: `Unknown mode: ${mode} (use ${RECONCILE_MODES.join(' or ')})` }, { status: 400 });
+  }
+  if (!getShopifyConfig()) {
+    return NextResponse.json({ error: 'Shopify is not configured' }, { status: 503 });
+  }
+
+  try {
+    const run = await runReconciliation({ mode, triggeredBy });
+    if (!run) {
+      return NextResponse.json({ error: 'A reconciliation run is already in progress' }, { status: 409 });
+    }
+    return NextResponse.json({ success: true, run });
+  } catch (error) {
+    console.error('Reconciliation error:', error);
+    return NextResponse.json({ error: describeApiError(error) }, { status: statusForApiError(error) });
+  }
+}
+
+export async function GET(request) {
+  if (!verifyCronSecret(request)) {
+    console.warn('Unauthorized reconcile call rejected');
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+  }
+
+  return reconcile(request.nextUrl.searchParams.get('mode') || getDefaultMode(), null);
+}
+
+export async function POST(request) {
+  // This route is public in middleware.js (for cron), so check the session here
+  const session = await getSessionFromRequest(request);
+  const auth = session ? { ok: true, actor: session.email } : verifyAdminRequest(request);
+  if (!auth.ok) {
+    console.warn(`Unauthorized reconcile run rejected: ${auth.reason}`);
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+  }
+
+  let body = {};
+  try {
+    body = await request.json();
+  } catch {
+    // No body - report mode
+  }
+  if (!body || typeof body !== 'object') {
+    return NextResponse.json({ error: 'Invalid JSON body' }, { status: 400 });
+  }
+
+  return reconcile(body.mode || 'report', auth.actor);
+}
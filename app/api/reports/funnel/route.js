@@ -0,0 +1,44 @@
+import { NextResponse } from 'next/server';
+import { getSubscriberSnapshot } from '../../../../lib/subscribers';
+import { parseSubscriberQuery, filterSubscribers, listProducts } from '../../../../lib/subscriber-query';
+import { buildFunnelReport } from '../../../../lib/funnel';
+import { describeApiError, statusForApiError, RateLimitError } from '../../../../lib/api-client';
+
+/**
+ * FUNNEL REPORT API
+ *
+ * Signup -> alerted -> ordered conversion and revenue attribution (see
+ * lib/funnel.js), overall, by product and by signup week. Accepts the same
+ * filters as /api/subscribers (sort and paging are ignored), so a date range
+ * or product can be reported on its own. `?refresh=1` forces a snapshot
+ * rebuild first. Also returns `products`, as /api/subscribers does.
+ */
+
+export const dynamic = 'force-dynamic';
+
+export async function GET(request) {
+  try {
+    const { searchParams } = request.nextUrl;
+    const forceRefresh = searchParams.get('refresh') === '1';
+    const { subscribers, ...snapshot } = await getSubscriberSnapshot({ forceRefresh });
+
+    const rows = filterSubscribers(subscribers, parseSubscriberQuery(searchParams));
+
+    return NextResponse.json({
+      ...snapshot,
+      funnel: buildFunnelReport(rows),
+      products: listProducts(subscribers),
+    });
+
+  } catch (error) {
+    console.error('Error:', error);
+    return NextResponse.json(
+      {
+        error: describeApiError(error),
+        rateLimited: error instanceof RateLimitError,
+        funnel: null,
+      },
+      { status: statusForApiError(error) }
+    );
+  }
+}
@@ -0,0 +1,176 @@
+import { NextResponse } from 'next/server';
+import { addSignup, updateEntry } from '../../../lib/waitlist';
+import { getShopifyConfig, getVariantById } from '../../../lib/shopify';
+import { createEvent, subscribeToList, findProfileIdByEmail } from '../../../lib/klaviyo';
+import { hitRateLimit, getClientIp } from '../../../lib/rate-limit';
+import { describeApiError } from '../../../lib/api-client';
+
+/**
+ * SIGNUP
+ *
+ * Called by the notify-me form (shopify/notify-me-form.liquid) instead of
+ * posting to Klaviyo from the browser:
+ * 1. Rejects honeypot-filled and rate-limited submissions
+ * 2. Validates the email, and the variant against Shopify (must be a PRE variant)
+ * 3. Adds the customer to the waitlist store
+ * 4. Subscribes them to the Klaviyo list and records a "Back In Stock Signup" event
+ *
+ * Responds with { status: 'added' | 'already_on_list' | 'error', error? }.
+ */
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+const MAX_EMAIL_LENGTH = 254;
+
+// Hidden form field real customers never fill in
+const HONEYPOT_FIELD = 'website';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function limitFromEnv(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+// Origins allowed to call this route from the browser: SIGNUP_ALLOWED_ORIGINS
+// (comma-separated), or the store's storefront and myshopify domains by default
+function getAllowedOrigins() {
+  if (process.env.SIGNUP_ALLOWED_ORIGINS) {
+    return process.env.SIGNUP_ALLOWED_ORIGINS.split(',').map(o => o.trim()).filter(Boolean);
+  }
+  const domain = process.env.SHOPIFY_STORE_DOMAIN;
+  if (!domain) return [];
+  const storefront = domain.replace('.myshopify.com', '.com');
+  return [`https://${domain}`, `https://${storefront}`, `https://www.${storefront}`];
+}
+
+function corsHeaders(request) {
+  const origin = request.headers.get('origin');
+  if (!origin || !getAllowedOrigins().includes(origin)) return {};
+  return {
+    'Access-Control-Allow-Origin': origin,
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Vary': 'Origin',
+  };
+}
+
+function respond(request, body, status = 200, extraHeaders = {}) {
+  return NextResponse.json(body, { status, headers: { ...corsHeaders(request), ...extraHeaders } });
+}
+
+// Create the Klaviyo subscription + signup event and remember the profile ID.
+// Failures are logged, not returned - the waitlist entry is what alerts are sent from.
+async function syncSignupToKlaviyo(entry, variant) {
+  const listId = process.env.KLAVIYO_LIST_ID || 'XMVuS6';
+
+  try {
+    await subscribeToList(entry.email, listId, 'Back In Stock Form');
+    await createEvent('Back In Stock Signup', entry.email, {
+      ProductID: variant.product.id,
+      ProductHandle: variant.product.handle,
+      ProductTitle: variant.product.title,
+      ProductURL: variant.product.url,
+      ProductImage: variant.product.image,
+      VariantID: variant.id,
+      SignupDate: entry.signupDate,
+    });
+
+    const profileId = await findProfileIdByEmail(entry.email);
+    if (profileId) await updateEntry(entry.id, { profileId });
+  } catch (error) {
+    console.error(`Klaviyo sync failed for signup ${entry.id}:`, describeApiError(error));
+  }
+}
+
+export async function OPTIONS(request) {
+  return new NextResponse(null, { status: 204, headers: corsHeaders(request) });
+}
+
+export async function POST(request) {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return respond(request, { status: 'error', error: 'Invalid request' }, 400);
+  }
+  if (!body || typeof body !== 'object') {
+    return respond(request, { status: 'error', error: 'Invalid request' }, 400);
+  }
+
+  const ip = getClientIp(request);
+
+  if (body[HONEYPOT_FIELD]) {
+    console.warn(`Signup rejected: honeypot filled (ip=${ip})`);
+    return respond(request, { status: 'error', error: 'Invalid request' }, 400);
+  }
+
+  const email = String(body.email || '').trim().toLowerCase();
+  const variantId = body.variant_id || body.variantId;
+
+  if (!EMAIL_PATTERN.test(email) || email.length > MAX_EMAIL_LENGTH) {
+    return respond(request, { status: 'error', error: 'Please enter a valid email address.' }, 400);
+  }
+  if (!variantId) {
+    return respond(request, { status: 'error', error: 'Missing variant' }, 400);
+  }
+
+  // Rate limit by IP and by email
+  const ipLimit = hitRateLimit(`signup:ip:${ip}`, limitFromEnv('SIGNUP_RATE_LIMIT_PER_IP', 10), HOUR_MS);
+  const emailLimit = hitRateLimit(`signup:email:${email}`, limitFromEnv('SIGNUP_RATE_LIMIT_PER_EMAIL', 5), HOUR_MS);
+  if (!ipLimit.allowed || !emailLimit.allowed) {
+    console.warn(`Signup rate limited: ip=${ip}, email=${email}`);
+    const retryAfter = Math.max(ipLimit.allowed ? 0 : ipLimit.retryAfterSeconds, emailLimit.allowed ? 0 : emailLimit.retryAfterSeconds);
+    return respond(
+      request,
+      { status: 'error', error: 'Too many signups. Please try again later.' },
+      429,
+      { 'Retry-After': String(retryAfter) }
+    );
+  }
+
+  if (!getShopifyConfig()) {
+    console.error('Signup unavailable: Shopify is not configured');
+    return respond(request, { status: 'error', error: 'Signups are unavailable right now.' }, 503);
+  }
+
+  try {
+    // Product details come from Shopify, not the browser
+    const variant = await getVariantById(variantId);
+    if (!variant) {
+      return respond(request, { status: 'error', error: 'Unknown product variant' }, 400);
+    }
+    if (variant.subStatus !== 'PRE') {
+      return respond(request, { status: 'error', error: 'This item is not taking back-in-stock signups' }, 400);
+    }
+
+    const productId = body.product_id || body.productId;
+    if (productId && String(productId) !== variant.product.id) {
+      return respond(request, { status: 'error', error: 'Variant does not belong to this product' }, 400);
+    }
+
+    const { entry, created } = await addSignup({
+      email,
+      productId: variant.product.id,
+      variantId: variant.id,
+      productHandle: variant.product.handle,
+      productTitle: variant.product.title,
+      productUrl: variant.product.url,
+      productImage: variant.product.image,
+      source: 'form',
+    });
+
+    if (!created) {
+      console.log(`Signup already on list: ${email} for variant ${variant.id}`);
+      return respond(request, { status: 'already_on_list' });
+    }
+
+    await syncSignupToKlaviyo(entry, variant);
+
+    console.log(`Signup added: ${email} for variant ${variant.id}`);
+    return respond(request, { status: 'added' }, 201);
+
+  } catch (error) {
+    console.error('Signup error:', error);
+    return respond(request, { status: 'error', error: 'Something went wrong. Please try again.' }, 500);
+  }
+}
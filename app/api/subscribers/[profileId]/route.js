@@ -0,0 +1,27 @@
+import { NextResponse } from 'next/server';
+import { buildSubscriberTimeline } from '../../../../lib/subscriber-timeline';
+import { describeApiError, statusForApiError } from '../../../../lib/api-client';
+
+/**
+ * SUBSCRIBER TIMELINE API
+ *
+ * One subscriber (by Klaviyo profile ID) for the /subscribers/[profileId] page:
+ * their dashboard rows and a newest-first timeline of signups, alerts sent,
+ * matching Received Email events, orders and cancellations (see
+ * lib/subscriber-timeline.js). `warnings` lists any lookup that failed.
+ */
+
+export const dynamic = 'force-dynamic';
+
+export async function GET(request, { params }) {
+  try {
+    const timeline = await buildSubscriberTimeline(params.profileId);
+    if (!timeline) {
+      return NextResponse.json({ error: 'No waitlist signups for this profile' }, { status: 404 });
+    }
+    return NextResponse.json(timeline);
+  } catch (error) {
+    console.error('Subscriber timeline error:', error);
+    return NextResponse.json({ error: describeApiError(error) }, { status: statusForApiError(error) });
+  }
+}
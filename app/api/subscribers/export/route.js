@@ -0,0 +1,99 @@
+import { NextResponse } from 'next/server';
+import { getSubscriberSnapshot } from '../../../../lib/subscribers';
+import { parseSubscriberQuery, filterSubscribers, sortSubscribers } from '../../../../lib/subscriber-query';
+import { buildDemand } from '../../../../lib/demand';
+import { toCsv } from '../../../../lib/csv';
+import { describeApiError, statusForApiError } from '../../../../lib/api-client';
+
+/**
+ * SUBSCRIBERS EXPORT
+ *
+ * Downloads the dashboard data as a file:
+ *   ?format=csv | json        (default csv)
+ *   ?type=subscribers | demand (default subscribers; demand = per-product aggregate)
+ *
+ * Takes the same filters and sort as /api/subscribers (lib/subscriber-query.js)
+ * but is not paged - every matching row is exported.
+ */
+
+export const dynamic = 'force-dynamic';
+
+const SUBSCRIBER_COLUMNS = [
+  ['Email', r => r.email],
+  ['Name', r => r.name],
+  ['Product ID', r => r.productId],
+  ['Product', r => r.productTitle],
+  ['Product URL', r => r.productUrl],
+  ['SKU', r => r.sku],
+  ['Variant ID', r => r.variantId],
+  ['Signup Date', r => r.signupDate],
+  ['Status', r => r.status],
+  ['Source', r => r.source],
+  ['Alert Sent', r => r.alertSent],
+  ['Alert Source', r => r.alertSource],
+  ['Alert Wave', r => r.alertWave],
+  ['Queued Wave', r => r.queuedWave],
+  ['Last Alert Trigger', r => r.lastAlert?.trigger],
+  ['Last Alert By', r => r.lastAlert?.triggeredBy],
+  ['Last Alert At', r => r.lastAlert?.sentAt],
+  ['First Alert At', r => r.alertedAt],
+  ['Ordered', r => r.ordered],
+  ['Ordered At', r => r.orderedAt],
+  ['Order Timing', r => r.orderTiming],
+  ['Hours To Purchase', r => r.hoursToPurchase],
+  ['Revenue Before Alert', r => r.revenueBeforeAlert],
+  ['Revenue After Alert', r => r.revenueAfterAlert],
+  ['Currency', r => r.currency],
+  ['Inventory', r => r.inventory],
+  ['Variant Inventory', r => r.variantInventory],
+  ['Shopify Customer ID', r => r.shopifyCustomerId],
+  ['Klaviyo Profile ID', r => r.profileId],
+  ['Waitlist Entry ID', r => r.id],
+];
+
+const DEMAND_COLUMNS = [
+  ['Product ID', g => g.productId],
+  ['Product', g => g.productTitle],
+  ['Variant ID', g => g.variantId],
+  ['SKU', g => g.sku],
+  ['Waiting', g => g.waiting],
+  ['Alerted', g => g.alerted],
+  ['Ordered', g => g.ordered],
+  ['Total Signups', g => g.total],
+  ['Conversion Rate', g => (g.conversionRate === null ? null : g.conversionRate.toFixed(4))],
+  ['Inventory', g => g.inventory],
+  ['Oldest Signup', g => g.oldestSignup],
+];
+
+export async function GET(request) {
+  const { searchParams } = request.nextUrl;
+  const format = searchParams.get('format') === 'json' ? 'json' : 'csv';
+  const type = searchParams.get('type') === 'demand' ? 'demand' : 'subscribers';
+
+  try {
+    const { subscribers, generatedAt } = await getSubscriberSnapshot();
+    const query = parseSubscriberQuery(searchParams);
+    const filtered = filterSubscribers(subscribers, query);
+
+    const rows = type === 'demand' ? buildDemand(filtered) : sortSubscribers(filtered, query);
+    const date = (generatedAt || new Date().toISOString()).slice(0, 10);
+    const filename = `bis-${type}-${date}.${format}`;
+
+    const body = format === 'json'
+      ? JSON.stringify({ generatedAt, type, count: rows.length, rows }, null, 2)
+      : toCsv(type === 'demand' ? DEMAND_COLUMNS : SUBSCRIBER_COLUMNS, rows);
+
+    console.log(`Export: ${rows.length} ${type} rows as ${format}`);
+    return new NextResponse(body, {
+      headers: {
+        'Content-Type': format === 'json' ? 'application/json' : 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${filename}"`,
+        'Cache-Control': 'no-store',
+      },
+    });
+
+  } catch (error) {
+    console.error('Export error:', error);
+    return NextResponse.json({ error: describeApiError(error) }, { status: statusForApiError(error) });
+  }
+}
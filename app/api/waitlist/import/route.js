@@ -0,0 +1,31 @@
+import { NextResponse } from 'next/server';
+import { importKlaviyoSignups } from '../../../../lib/waitlist';
+import { verifyCronSecret } from '../../../../lib/webhook-auth';
+import { describeApiError, statusForApiError } from '../../../../lib/api-client';
+
+/**
+ * WAITLIST IMPORT
+ *
+ * Backfills the waitlist store from every "Back In Stock Signup" event in
+ * Klaviyo. Safe to run repeatedly - already-imported events are skipped.
+ * Requires `Authorization: Bearer <CRON_SECRET>`; run it with
+ * `npm run import:signups`.
+ */
+
+export const dynamic = 'force-dynamic';
+
+export async function POST(request) {
+  if (!verifyCronSecret(request)) {
+    console.warn('Unauthorized waitlist import rejected');
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+  }
+
+  try {
+    const stats = await importKlaviyoSignups();
+    console.log(`Waitlist import: ${stats.imported} imported, ${stats.merged} merged, ${stats.skipped} skipped`);
+    return NextResponse.json({ success: true, ...stats });
+  } catch (error) {
+    console.error('Waitlist import error:', error);
+    return NextResponse.json({ error: describeApiError(error) }, { status: statusForApiError(error) });
+  }
+}
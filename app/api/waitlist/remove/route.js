@@ -0,0 +1,60 @@
+import { NextResponse } from 'next/server';
+import { verifyAdminRequest } from '../../../../lib/webhook-auth';
+import { getEntry, setStatus } from '../../../../lib/waitlist';
+import { describeApiError, statusForApiError } from '../../../../lib/api-client';
+
+/**
+ * REMOVE FROM WAITLIST
+ *
+ * Dashboard action: marks one waitlist entry (a dashboard row) cancelled, so
+ * it gets no further alerts and drops out of the default dashboard view. The
+ * staff member who removed it is recorded on the entry as `cancelledBy`.
+ *
+ * POST { entry_id } with a staff session, or `Authorization: Bearer <ADMIN_API_TOKEN>`
+ * and `X-Staff-Name`.
+ */
+
+export const dynamic = 'force-dynamic';
+
+export async function POST(request) {
+  const auth = verifyAdminRequest(request);
+  if (!auth.ok) {
+    console.warn(`Unauthorized waitlist removal rejected: ${auth.reason}`);
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return NextResponse.json({ error: 'Invalid JSON body' }, { status: 400 });
+  }
+  if (!body || typeof body !== 'object') {
+    return NextResponse.json({ error: 'Invalid JSON body' }, { status: 400 });
+  }
+
+  const entryId = body.entry_id || body.entryId;
+  if (!entryId) {
+    return NextResponse.json({ error: 'Missing entry_id' }, { status: 400 });
+  }
+
+  try {
+    const entry = await getEntry(entryId);
+    if (!entry) {
+      return NextResponse.json({ error: 'Waitlist entry not found' }, { status: 404 });
+    }
+    if (entry.status === 'cancelled') {
+      return NextResponse.json({ error: 'Entry is already cancelled' }, { status: 409 });
+    }
+
+    const cancelledAt = new Date().toISOString();
+    await setStatus([entry.id], 'cancelled', { cancelledAt, cancelledBy: auth.actor });
+
+    console.log(`Waitlist entry removed by ${auth.actor}: ${entry.email} for product ${entry.productId}`);
+    return NextResponse.json({ success: true, email: entry.email, cancelledAt, cancelledBy: auth.actor });
+
+  } catch (error) {
+    console.error('Waitlist removal error:', error);
+    return NextResponse.json({ error: describeApiError(error) }, { status: statusForApiError(error) });
+  }
+}
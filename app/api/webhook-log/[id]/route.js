@@ -0,0 +1,24 @@
+import { NextResponse } from 'next/server';
+import { getWebhookCall } from '../../../../lib/webhook-log';
+
+/**
+ * WEBHOOK CALL DETAIL
+ *
+ * One inventory webhook call from the audit log: the raw payload, resolved
+ * product, matched subscribers, each subscriber's alert result and any errors.
+ */
+
+export const dynamic = 'force-dynamic';
+
+export async function GET(request, { params }) {
+  try {
+    const call = await getWebhookCall(params.id);
+    if (!call) {
+      return NextResponse.json({ error: 'Webhook call not found' }, { status: 404 });
+    }
+    return NextResponse.json({ call });
+  } catch (error) {
+    console.error('Webhook call error:', error);
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
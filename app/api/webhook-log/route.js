@@ -0,0 +1,31 @@
+import { NextResponse } from 'next/server';
+import { listWebhookCalls, WEBHOOK_OUTCOMES } from '../../../lib/webhook-log';
+
+/**
+ * WEBHOOK AUDIT LOG
+ *
+ * Recent inventory webhook calls (see lib/webhook-log.js), newest first, for the
+ * restock log page. Query params:
+ * - product: product ID, variant ID or product title (substring)
+ * - outcome: one of WEBHOOK_OUTCOMES
+ * - limit: how many to return (default 50, max 300)
+ */
+
+export const dynamic = 'force-dynamic';
+
+export async function GET(request) {
+  const params = request.nextUrl.searchParams;
+  const limit = Math.min(parseInt(params.get('limit'), 10) || 50, 300);
+  const outcome = params.get('outcome') || '';
+  if (outcome && !WEBHOOK_OUTCOMES.includes(outcome)) {
+    return NextResponse.json({ error: `outcome must be one of: ${WEBHOOK_OUTCOMES.join(', ')}` }, { status: 400 });
+  }
+
+  try {
+    const calls = await listWebhookCalls({ product: params.get('product') || '', outcome, limit });
+    return NextResponse.json({ calls });
+  } catch (error) {
+    console.error('Webhook log error:', error);
+    return NextResponse.json({ error: error.message, calls: [] }, { status: 500 });
+  }
+}
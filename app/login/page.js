@@ -0,0 +1,117 @@
+'use client';
+
+import { useState } from 'react';
+
+// Where to go after login: `next` only if it resolves to this site (browsers read
+// `/\evil.com` as `//evil.com`, so checking the string's prefix isn't enough)
+function safeNext(next) {
+  if (!next) return '/';
+  try {
+    const url = new URL(next, window.location.origin);
+    return url.origin === window.location.origin ? url.pathname + url.search : '/';
+  } catch {
+    return '/';
+  }
+}
+
+export default function Login() {
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+
+    try {
+      const res = await fetch('/api/auth/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email, password }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Login failed');
+
+      window.location.href = safeNext(new URLSearchParams(window.location.search).get('next'));
+    } catch (err) {
+      setError(err.message);
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div style={{ padding: 24, maxWidth: 360, margin: '80px auto' }}>
+      <h1 style={{ fontSize: 24, fontWeight: 600, marginBottom: 8 }}>Back in Stock Dashboard</h1>
+      <p style={{ color: '#666', marginTop: 0, marginBottom: 24 }}>Sign in to continue</p>
+
+      <form onSubmit={handleSubmit} style={{
+        backgroundColor: '#fff',
+        borderRadius: 8,
+        boxShadow: '0 1px 3px rgba(0,0,0,0.1)',
+        padding: 24,
+        display: 'flex',
+        flexDirection: 'column',
+        gap: 12
+      }}>
+        <label style={labelStyle}>
+          Email
+          <input
+            type="email"
+            required
+            autoComplete="username"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            style={inputStyle}
+          />
+        </label>
+        <label style={labelStyle}>
+          Password
+          <input
+            type="password"
+            required
+            autoComplete="current-password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            style={inputStyle}
+          />
+        </label>
+
+        {error && <div style={{ color: '#dc2626', fontSize: 14 }}>{error}</div>}
+
+        <button
+          type="submit"
+          disabled={submitting}
+          style={{
+            padding: '10px 12px',
+            backgroundColor: '#111827',
+            color: '#fff',
+            border: 'none',
+            borderRadius: 6,
+            fontSize: 14,
+            cursor: 'pointer'
+          }}
+        >
+          {submitting ? 'Signing in...' : 'Sign in'}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+const labelStyle = {
+  display: 'flex',
+  flexDirection: 'column',
+  gap: 4,
+  fontSize: 13,
+  fontWeight: 500,
+  color: '#374151'
+};
+
+const inputStyle = {
+  padding: '8px 12px',
+  border: '1px solid #d1d5db',
+  borderRadius: 6,
+  fontSize: 14
+};
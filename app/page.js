@@ -1,22 +1,109 @@
 'use client';
 
-import { useEffect, useState } from 'react';
+import { useEffect, useRef, useState } from 'react';
+
+// Where a row's "Alert Sent" status came from (see lib/subscribers.js)
+const ALERT_SOURCE_LABELS = {
+  ledger: 'Alert log',
+  'klaviyo-event': 'Klaviyo alert event',
+  waitlist: 'Waitlist status',
+  'klaviyo-email': 'Email subject match (legacy)',
+};
+
+// Filters, sort and page live in the URL (see lib/subscriber-query.js) so a view can be shared
+const QUERY_DEFAULTS = {
+  view: 'subscribers', // or 'demand', 'funnel'
+  q: '',
+  status: '', // '' hides cancelled entries
+  alert: '',
+  ordered: '',
+  stock: '',
+  from: '',
+  to: '',
+  product: '',
+  variant: '',
+  sort: 'signupDate',
+  dir: 'desc',
+  page: '1',
+};
+
+function readQueryFromUrl() {
+  const params = new URLSearchParams(window.location.search);
+  const query = {};
+  for (const key of Object.keys(QUERY_DEFAULTS)) {
+    query[key] = params.get(key) || QUERY_DEFAULTS[key];
+  }
+  return query;
+}
+
+// Only non-default values go in the URL
+function toQueryString(query) {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(query)) {
+    if (value && value !== QUERY_DEFAULTS[key]) params.set(key, value);
+  }
+  return params.toString();
+}
 
 export default function Dashboard() {
   const [subscribers, setSubscribers] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [demand, setDemand] = useState([]);
+  const [funnel, setFunnel] = useState(null);
+  const [paging, setPaging] = useState({ total: 0, totalAll: 0, page: 1, totalPages: 1 });
+  const [query, setQuery] = useState(null); // null until read from the URL on mount
+  const queryRef = useRef(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [warnings, setWarnings] = useState([]);
+  const [generatedAt, setGeneratedAt] = useState(null);
+  const [serverRefreshing, setServerRefreshing] = useState(false);
   const [search, setSearch] = useState('');
+  const [showFilters, setShowFilters] = useState(false);
   const [mounted, setMounted] = useState(false);
   const [countdown, setCountdown] = useState(300); // 5 minutes in seconds
+  const [preview, setPreview] = useState(null);
+  const [busyAction, setBusyAction] = useState(null); // e.g. 'preview:<productId>', 'resend:<rowId>'
+  const [actionMessage, setActionMessage] = useState(null);
+  const [reconcileRuns, setReconcileRuns] = useState([]);
 
-  const fetchData = async () => {
+  // Session expired or signed out elsewhere - back to the login page
+  const redirectToLogin = () => {
+    window.location.href = `/login?next=${encodeURIComponent(window.location.pathname + window.location.search)}`;
+  };
+
+  // Fetches the current page (or the demand/funnel view) for the current filters.
+  // force=true asks the server to rebuild its cached snapshot instead of serving it
+  const fetchData = async (force = false) => {
+    if (!queryRef.current) return;
     setLoading(true);
     try {
-      const res = await fetch('/api/subscribers');
+      const { view } = queryRef.current;
+      const endpoint = { demand: '/api/demand', funnel: '/api/reports/funnel' }[view] || '/api/subscribers';
+      const params = new URLSearchParams(toQueryString(queryRef.current));
+      if (force) params.set('refresh', '1');
+      const res = await fetch(`${endpoint}?${params}`);
+      if (res.status === 401) return redirectToLogin();
       const data = await res.json();
+      if (data.rateLimited) throw new Error(`${data.error} - try again in a minute`);
       if (data.error) throw new Error(data.error);
-      setSubscribers(data.subscribers || []);
+      setProducts(data.products || []);
+      if (view === 'demand') {
+        setDemand(data.demand || []);
+      } else if (view === 'funnel') {
+        setFunnel(data.funnel || null);
+      } else {
+        setSubscribers(data.subscribers || []);
+        setPaging({
+          total: data.total ?? 0,
+          totalAll: data.totalAll ?? 0,
+          page: data.page ?? 1,
+          totalPages: data.totalPages ?? 1,
+        });
+      }
+      setWarnings(data.warnings || []);
+      setGeneratedAt(data.generatedAt || null);
+      setServerRefreshing(Boolean(data.refreshing));
       setError(null);
     } catch (e) {
       setError(e.message);
@@ -25,9 +112,40 @@ export default function Dashboard() {
     }
   };
 
+  // Change filters/sort/page; anything but a page change goes back to page 1
+  const updateQuery = (changes) => {
+    setQuery(prev => ({ ...prev, page: '1', ...changes }));
+  };
+
+  const toggleSort = (field) => {
+    updateQuery(query.sort === field
+      ? { sort: field, dir: query.dir === 'asc' ? 'desc' : 'asc' }
+      : { sort: field, dir: field === 'signupDate' ? 'desc' : 'asc' });
+  };
+
+  // Keep the URL in sync with the filters and refetch whenever they change
   useEffect(() => {
-    setMounted(true);
+    if (!query) return;
+    queryRef.current = query;
+    const qs = toQueryString(query);
+    window.history.replaceState(null, '', qs ? `?${qs}` : window.location.pathname);
     fetchData();
+  }, [query]);
+
+  // Debounce the search box into the query
+  useEffect(() => {
+    if (!query || search === query.q) return;
+    const timer = setTimeout(() => updateQuery({ q: search }), 300);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  useEffect(() => {
+    setMounted(true);
+    const initial = readQueryFromUrl();
+    setSearch(initial.q);
+    setShowFilters(Boolean(initial.status || initial.alert || initial.ordered || initial.stock || initial.from || initial.to));
+    setQuery(initial);
+    fetchReconcileRuns();
 
     // Auto-refresh every 5 minutes
     const refreshInterval = setInterval(() => {
@@ -46,15 +164,127 @@ export default function Dashboard() {
     };
   }, []);
 
-  const filtered = subscribers.filter((sub) => {
-    if (!search) return true;
-    const term = search.toLowerCase();
-    return (
-      sub.email?.toLowerCase().includes(term) ||
-      sub.productTitle?.toLowerCase().includes(term) ||
-      sub.sku?.toLowerCase().includes(term)
+  // Dry-run the inventory webhook for a product: shows who would be emailed, sends nothing
+  const previewRestock = async (product) => {
+    const input = window.prompt(`How many units of "${product.title}" are coming back?`, '1');
+    if (input === null) return;
+    const units = parseInt(input, 10);
+
+    setBusyAction(`preview:${product.id}`);
+    try {
+      const res = await fetch('/api/inventory-webhook?dryRun=1', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          product_id: product.id,
+          product_title: product.title,
+          product_url: product.url,
+          inventory_quantity: Number.isFinite(units) ? units : 0,
+        }),
+      });
+      const data = await res.json();
+      if (data.error) throw new Error(data.error);
+      setPreview(data);
+    } catch (e) {
+      setPreview({ error: e.message, product: { title: product.title } });
+    } finally {
+      setBusyAction(null);
+    }
+  };
+
+  // Recent reconciliation runs (missed restocks), newest first
+  const fetchReconcileRuns = async () => {
+    try {
+      const res = await fetch('/api/reconcile-runs');
+      if (!res.ok) return;
+      const data = await res.json();
+      setReconcileRuns(data.runs || []);
+    } catch {
+      // The panel just stays empty
+    }
+  };
+
+  const runReconcile = async (mode) => {
+    if (mode === 'send' && !window.confirm('Send alerts to everyone whose item is in stock but who was never alerted?')) return;
+    await runAdminAction(`reconcile:${mode}`, '/api/reconcile', { mode }, ({ run }) =>
+      `Missed restock check: ${run.missed} waiting subscribers in stock but never alerted` +
+      (mode === 'send' ? ` - ${formatAlertCounts(run.counts)}` : '')
     );
-  });
+    fetchReconcileRuns();
+  };
+
+  const signOut = async () => {
+    await fetch('/api/auth/logout', { method: 'POST' });
+    window.location.href = '/login';
+  };
+
+  // Manual alert actions run as the signed-in staff member, who is recorded with the alert
+  const runAdminAction = async (key, path, body, describe) => {
+    setBusyAction(key);
+    try {
+      const res = await fetch(path, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+      if (res.status === 401) return redirectToLogin();
+      const data = await res.json();
+      if (data.error) throw new Error(data.error);
+      setActionMessage({ ok: true, text: describe(data) });
+      fetchData(true);
+    } catch (e) {
+      setActionMessage({ ok: false, text: e.message });
+    } finally {
+      setBusyAction(null);
+    }
+  };
+
+  const sendRestockAlert = (product) => {
+    if (!window.confirm(`Send the back-in-stock alert for "${product.title}" to ${product.waiting} waiting subscribers now?`)) return;
+    runAdminAction(`send:${product.id}`, '/api/alerts/send', { product_id: product.id }, (data) =>
+      `${product.title}: ${formatAlertCounts(data.counts)}` +
+      (data.failures?.length ? ` (failed: ${data.failures.slice(0, 5).map(f => f.email).join(', ')}${data.failures.length > 5 ? ', ...' : ''})` : '')
+    );
+  };
+
+  const resendAlert = (sub) => {
+    if (!window.confirm(`Resend the back-in-stock alert for "${sub.productTitle || sub.productId}" to ${sub.email}?`)) return;
+    runAdminAction(`resend:${sub.id}`, '/api/alerts/resend', { entry_id: sub.id }, () =>
+      `Alert resent to ${sub.email}`
+    );
+  };
+
+  const removeEntry = (sub) => {
+    if (!window.confirm(`Remove ${sub.email} from the waitlist for "${sub.productTitle || sub.productId}"? They won't get any more alerts for it.`)) return;
+    runAdminAction(`remove:${sub.id}`, '/api/waitlist/remove', { entry_id: sub.id }, () =>
+      `${sub.email} removed from the waitlist`
+    );
+  };
+
+  const demandView = query?.view === 'demand';
+  const funnelView = query?.view === 'funnel';
+
+  // Drill down from a demand row into that product/variant's subscribers
+  const showDemandSubscribers = (group) => {
+    updateQuery({ view: 'subscribers', product: group.productId, variant: group.variantId || 'none' });
+  };
+
+  const drillDownLabel = query?.product
+    ? (products.find(p => p.id === query.product)?.title || `Product ${query.product}`) +
+      (query.variant === 'none' ? ' (any variant)' : query.variant ? ` - variant ${query.variant}` : '')
+    : null;
+
+  // Download links for the current filters (the export isn't paged)
+  const exportUrl = (type, format) => {
+    const params = new URLSearchParams(toQueryString({ ...query, view: '', page: '' }));
+    params.set('type', type);
+    params.set('format', format);
+    return `/api/subscribers/export?${params}`;
+  };
+
+  const activeFilterCount = query
+    ? ['status', 'alert', 'ordered', 'stock', 'from', 'to'].filter(key => query[key]).length
+    : 0;
 
   const formatDate = (dateStr) => {
     if (!dateStr) return '-';
@@ -67,6 +297,16 @@ export default function Dashboard() {
     }
   };
 
+  const formatAge = (dateStr) => {
+    if (!dateStr) return null;
+    const seconds = Math.max(0, Math.floor((Date.now() - new Date(dateStr).getTime()) / 1000));
+    if (seconds < 60) return 'just now';
+    const mins = Math.floor(seconds / 60);
+    if (mins < 60) return `${mins} min ago`;
+    const hours = Math.floor(mins / 60);
+    return `${hours} hr ${mins % 60} min ago`;
+  };
+
   const formatCountdown = (seconds) => {
     const mins = Math.floor(seconds / 60);
     const secs = seconds % 60;
@@ -104,6 +344,122 @@ export default function Dashboard() {
         </div>
       )}
 
+      {warnings.length > 0 && (
+        <div style={{
+          padding: 16,
+          backgroundColor: '#fffbeb',
+          border: '1px solid #fde68a',
+          borderRadius: 8,
+          marginBottom: 24,
+          color: '#92400e'
+        }}>
+          <strong>Incomplete data:</strong>
+          <ul style={{ margin: '8px 0 0', paddingLeft: 20 }}>
+            {warnings.map((w, i) => <li key={i}>{w}</li>)}
+          </ul>
+        </div>
+      )}
+
+      {products.length > 0 && (
+        <details style={{
+          backgroundColor: '#fff',
+          borderRadius: 8,
+          boxShadow: '0 1px 3px rgba(0,0,0,0.1)',
+          marginBottom: 24,
+          padding: 16
+        }}>
+          <summary style={{ cursor: 'pointer', fontWeight: 600 }}>
+            Restock alerts ({products.length} products)
+          </summary>
+          <div style={{ marginTop: 12 }}>
+            {products.map((product) => (
+              <div
+                key={product.id}
+                style={{
+                  display: 'flex',
+                  justifyContent: 'space-between',
+                  alignItems: 'center',
+                  gap: 12,
+                  padding: '8px 0',
+                  borderBottom: '1px solid #f3f4f6'
+                }}
+              >
+                <span style={{ fontSize: 14 }}>
+                  {product.title} <span style={{ color: '#6b7280' }}>({product.waiting} waiting)</span>
+                </span>
+                <div style={{ display: 'flex', gap: 8 }}>
+                  <button
+                    onClick={() => previewRestock(product)}
+                    disabled={busyAction !== null}
+                    style={buttonStyle}
+                  >
+                    {busyAction === `preview:${product.id}` ? 'Previewing...' : 'Preview alert'}
+                  </button>
+                  <button
+                    onClick={() => sendRestockAlert(product)}
+                    disabled={busyAction !== null || product.waiting === 0}
+                    style={{ ...buttonStyle, backgroundColor: '#e0e7ff', color: '#3730a3' }}
+                  >
+                    {busyAction === `send:${product.id}` ? 'Sending...' : 'Send to waiting'}
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        </details>
+      )}
+
+      <details style={{
+        backgroundColor: '#fff',
+        borderRadius: 8,
+        boxShadow: '0 1px 3px rgba(0,0,0,0.1)',
+        marginBottom: 24,
+        padding: 16
+      }}>
+        <summary style={{ cursor: 'pointer', fontWeight: 600 }}>
+          Missed restocks
+          {reconcileRuns[0] && (
+            <span style={{ fontWeight: 400, color: reconcileRuns[0].missed > 0 ? '#b45309' : '#6b7280' }}>
+              {' '}(last check {formatAge(reconcileRuns[0].startedAt)}
+              {reconcileRuns[0].status === 'ok' ? `: ${reconcileRuns[0].missed} never alerted` : `: ${reconcileRuns[0].status}`})
+            </span>
+          )}
+        </summary>
+        <div style={{ marginTop: 12, display: 'flex', gap: 8 }}>
+          <button onClick={() => runReconcile('report')} disabled={busyAction !== null} style={buttonStyle}>
+            {busyAction === 'reconcile:report' ? 'Checking...' : 'Check now'}
+          </button>
+          <button
+            onClick={() => runReconcile('send')}
+            disabled={busyAction !== null}
+            style={{ ...buttonStyle, backgroundColor: '#e0e7ff', color: '#3730a3' }}
+          >
+            {busyAction === 'reconcile:send' ? 'Sending...' : 'Send missed alerts'}
+          </button>
+        </div>
+        <ReconcileRuns runs={reconcileRuns} formatAge={formatAge} />
+      </details>
+
+      {actionMessage && (
+        <div style={{
+          padding: 12,
+          backgroundColor: actionMessage.ok ? '#f0fdf4' : '#fef2f2',
+          border: `1px solid ${actionMessage.ok ? '#bbf7d0' : '#fecaca'}`,
+          borderRadius: 8,
+          marginBottom: 24,
+          color: actionMessage.ok ? '#166534' : '#dc2626',
+          display: 'flex',
+          justifyContent: 'space-between'
+        }}>
+          <span>{actionMessage.text}</span>
+          <button onClick={() => setActionMessage(null)} style={{ background: 'none', border: 'none', cursor: 'pointer', color: 'inherit' }}>
+            ×
+          </button>
+        </div>
+      )}
+
+      {preview && <RestockPreview preview={preview} onClose={() => setPreview(null)} />}
+
       <div style={{
         backgroundColor: '#fff',
         borderRadius: 8,
@@ -119,123 +475,336 @@ export default function Dashboard() {
           gap: 12,
           flexWrap: 'wrap'
         }}>
-          <span><strong>{filtered.length}</strong> subscribers</span>
-          <input
-            type="text"
-            placeholder="Search email, product, or SKU..."
-            value={search}
-            onChange={(e) => setSearch(e.target.value)}
-            style={{
-              padding: '8px 12px',
-              border: '1px solid #d1d5db',
-              borderRadius: 6,
-              fontSize: 14,
-              width: 250
-            }}
-          />
+          <div style={{ display: 'flex', gap: 16, alignItems: 'center' }}>
+            <div style={{ display: 'flex', gap: 4 }}>
+              {[['subscribers', 'Subscribers'], ['demand', 'Demand'], ['funnel', 'Funnel']].map(([view, label]) => (
+                <button
+                  key={view}
+                  onClick={() => updateQuery({ view, product: '', variant: '' })}
+                  style={{
+                    ...buttonStyle,
+                    backgroundColor: (query?.view || 'subscribers') === view ? '#111827' : '#f3f4f6',
+                    color: (query?.view || 'subscribers') === view ? '#fff' : '#374151'
+                  }}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+            {demandView ? (
+              <span><strong>{demand.length}</strong> products/variants</span>
+            ) : funnelView ? (
+              <span><strong>{funnel?.totals.signups ?? 0}</strong> signups</span>
+            ) : (
+              <span>
+                <strong>{paging.total}</strong> subscribers
+                {paging.total !== paging.totalAll && <span style={{ color: '#6b7280' }}> (of {paging.totalAll})</span>}
+              </span>
+            )}
+          </div>
+          <div style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
+            <button onClick={() => setShowFilters(!showFilters)} style={buttonStyle}>
+              Filters{activeFilterCount > 0 ? ` (${activeFilterCount})` : ''}
+            </button>
+            {query && (
+              <details style={{ position: 'relative' }}>
+                <summary style={{ ...buttonStyle, listStyle: 'none' }}>Export</summary>
+                <div style={{
+                  position: 'absolute',
+                  right: 0,
+                  top: 'calc(100% + 4px)',
+                  zIndex: 10,
+                  backgroundColor: '#fff',
+                  border: '1px solid #e5e7eb',
+                  borderRadius: 6,
+                  boxShadow: '0 4px 12px rgba(0,0,0,0.1)',
+                  padding: 8,
+                  display: 'flex',
+                  flexDirection: 'column',
+                  gap: 4,
+                  minWidth: 180
+                }}>
+                  {[
+                    ['subscribers', 'csv', 'Subscribers (CSV)'],
+                    ['subscribers', 'json', 'Subscribers (JSON)'],
+                    ['demand', 'csv', 'Demand by product (CSV)'],
+                    ['demand', 'json', 'Demand by product (JSON)'],
+                  ].map(([type, format, label]) => (
+                    <a key={`${type}-${format}`} href={exportUrl(type, format)} style={linkStyle}>
+                      {label}
+                    </a>
+                  ))}
+                </div>
+              </details>
+            )}
+            <input
+              type="text"
+              placeholder="Search email, product, or SKU..."
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              style={{ ...inputStyle, width: 250 }}
+            />
+          </div>
         </div>
 
-        <div style={{ overflowX: 'auto' }}>
-          <table style={{ width: '100%', borderCollapse: 'collapse', minWidth: 900 }}>
-            <thead>
-              <tr style={{ backgroundColor: '#f9fafb' }}>
-                <th style={thStyle}>Email</th>
-                <th style={thStyle}>Product</th>
-                <th style={{ ...thStyle, textAlign: 'center' }}>Signed Up</th>
-                <th style={{ ...thStyle, textAlign: 'center' }}>Alert Sent</th>
-                <th style={{ ...thStyle, textAlign: 'center' }}>Ordered</th>
-                <th style={{ ...thStyle, textAlign: 'center' }}>Inventory</th>
-                <th style={thStyle}>Actions</th>
-              </tr>
-            </thead>
-            <tbody>
-              {loading && subscribers.length === 0 ? (
-                <tr>
-                  <td colSpan="7" style={{ padding: 48, textAlign: 'center', color: '#9ca3af' }}>
-                    Loading...
-                  </td>
-                </tr>
-              ) : filtered.length === 0 ? (
-                <tr>
-                  <td colSpan="7" style={{ padding: 48, textAlign: 'center', color: '#9ca3af' }}>
-                    No subscribers found
-                  </td>
+        {showFilters && query && (
+          <div style={{
+            padding: 16,
+            borderBottom: '1px solid #e5e5e5',
+            display: 'flex',
+            gap: 16,
+            alignItems: 'flex-end',
+            flexWrap: 'wrap',
+            backgroundColor: '#f9fafb'
+          }}>
+            <FilterSelect
+              label="Status"
+              value={query.status}
+              onChange={(status) => updateQuery({ status })}
+              anyLabel="All but cancelled"
+              options={[['waiting', 'Waiting'], ['alerted', 'Alerted'], ['ordered', 'Ordered'], ['cancelled', 'Cancelled'], ['all', 'All']]}
+            />
+            <FilterSelect
+              label="Alert sent"
+              value={query.alert}
+              onChange={(alert) => updateQuery({ alert })}
+              options={[['yes', 'Sent'], ['no', 'Not sent']]}
+            />
+            <FilterSelect
+              label="Ordered"
+              value={query.ordered}
+              onChange={(ordered) => updateQuery({ ordered })}
+              options={[['yes', 'Ordered'], ['no', 'Not ordered'], ['unknown', 'Unknown']]}
+            />
+            <FilterSelect
+              label="Inventory"
+              value={query.stock}
+              onChange={(stock) => updateQuery({ stock })}
+              options={[['in', 'In stock'], ['out', 'Out of stock']]}
+            />
+            <label style={filterLabelStyle}>
+              Signed up from
+              <input type="date" value={query.from} onChange={(e) => updateQuery({ from: e.target.value })} style={inputStyle} />
+            </label>
+            <label style={filterLabelStyle}>
+              to
+              <input type="date" value={query.to} onChange={(e) => updateQuery({ to: e.target.value })} style={inputStyle} />
+            </label>
+            {activeFilterCount > 0 && (
+              <button
+                onClick={() => updateQuery({ status: '', alert: '', ordered: '', stock: '', from: '', to: '' })}
+                style={buttonStyle}
+              >
+                Clear filters
+              </button>
+            )}
+          </div>
+        )}
+
+        {drillDownLabel && !demandView && !funnelView && (
+          <div style={{
+            padding: '10px 16px',
+            borderBottom: '1px solid #e5e5e5',
+            backgroundColor: '#eef2ff',
+            fontSize: 14,
+            display: 'flex',
+            gap: 12,
+            alignItems: 'center'
+          }}>
+            <span>Showing subscribers for <strong>{drillDownLabel}</strong></span>
+            <button onClick={() => updateQuery({ product: '', variant: '' })} style={buttonStyle}>Show all</button>
+            <button onClick={() => updateQuery({ view: 'demand', product: '', variant: '' })} style={buttonStyle}>Back to demand</button>
+          </div>
+        )}
+
+        {demandView ? (
+          <DemandTable
+            demand={demand}
+            loading={loading}
+            formatDate={formatDate}
+            onSelect={showDemandSubscribers}
+          />
+        ) : funnelView ? (
+          <FunnelReport funnel={funnel} loading={loading} formatDate={formatDate} />
+        ) : (
+          <div style={{ overflowX: 'auto' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse', minWidth: 900 }}>
+              <thead>
+                <tr style={{ backgroundColor: '#f9fafb' }}>
+                  <SortableTh field="email" query={query} onSort={toggleSort}>Email</SortableTh>
+                  <SortableTh field="product" query={query} onSort={toggleSort}>Product</SortableTh>
+                  <SortableTh field="signupDate" query={query} onSort={toggleSort} center>Signed Up</SortableTh>
+                  <SortableTh field="alertSent" query={query} onSort={toggleSort} center>Alert Sent</SortableTh>
+                  <SortableTh field="ordered" query={query} onSort={toggleSort} center>Ordered</SortableTh>
+                  <SortableTh field="inventory" query={query} onSort={toggleSort} center>Inventory</SortableTh>
+                  <th style={thStyle}>Actions</th>
                 </tr>
-              ) : (
-                filtered.map((sub) => (
-                  <tr key={sub.id} style={{ borderBottom: '1px solid #e5e5e5' }}>
-                    <td style={tdStyle}>
-                      <div style={{ fontWeight: 500 }}>{sub.email}</div>
-                      {sub.name && <div style={{ fontSize: 13, color: '#6b7280' }}>{sub.name}</div>}
+              </thead>
+              <tbody>
+                {loading && subscribers.length === 0 ? (
+                  <tr>
+                    <td colSpan="7" style={{ padding: 48, textAlign: 'center', color: '#9ca3af' }}>
+                      Loading...
                     </td>
-                    <td style={tdStyle}>
-                      {sub.productTitle ? (
-                        <>
-                          <div>{sub.productTitle}</div>
-                          {sub.sku && <div style={{ fontSize: 12, color: '#6b7280' }}>SKU: {sub.sku}</div>}
-                        </>
-                      ) : (
-                        <span style={{ color: '#9ca3af' }}>-</span>
-                      )}
-                    </td>
-                    <td style={{ ...tdStyle, textAlign: 'center' }}>
-                      {formatDate(sub.signupDate)}
-                    </td>
-                    <td style={{ ...tdStyle, textAlign: 'center' }}>
-                      <Badge yes={sub.alertSent} />
-                    </td>
-                    <td style={{ ...tdStyle, textAlign: 'center' }}>
-                      <Badge yes={sub.ordered} />
-                    </td>
-                    <td style={{ ...tdStyle, textAlign: 'center' }}>
-                      {sub.inventory !== null ? (
-                        <span style={{
-                          display: 'inline-block',
-                          padding: '4px 12px',
-                          backgroundColor: sub.inventory > 0 ? '#dcfce7' : '#fee2e2',
-                          color: sub.inventory > 0 ? '#166534' : '#dc2626',
-                          borderRadius: 9999,
-                          fontSize: 13,
-                          fontWeight: 600
-                        }}>
-                          {sub.inventory}
-                        </span>
-                      ) : '-'}
-                    </td>
-                    <td style={tdStyle}>
-                      <div style={{ display: 'flex', gap: 8 }}>
-                        {sub.productUrl && (
-                          <a href={sub.productUrl} target="_blank" rel="noopener noreferrer" style={linkStyle}>
-                            Product
-                          </a>
-                        )}
-                        <a
-                          href={sub.shopifyCustomerId
-                            ? `https://admin.shopify.com/store/bbqing-com/customers/${sub.shopifyCustomerId}`
-                            : `https://admin.shopify.com/store/bbqing-com/customers?query=${encodeURIComponent(sub.email)}`
-                          }
-                          target="_blank"
-                          rel="noopener noreferrer"
-                          style={{ ...linkStyle, backgroundColor: '#e0e7ff', color: '#3730a3' }}
-                        >
-                          Shopify
-                        </a>
-                        <a
-                          href={`https://www.klaviyo.com/profile/${sub.profileId}`}
-                          target="_blank"
-                          rel="noopener noreferrer"
-                          style={linkStyle}
-                        >
-                          Klaviyo
-                        </a>
-                      </div>
+                  </tr>
+                ) : subscribers.length === 0 ? (
+                  <tr>
+                    <td colSpan="7" style={{ padding: 48, textAlign: 'center', color: '#9ca3af' }}>
+                      No subscribers found
                     </td>
                   </tr>
-                ))
-              )}
-            </tbody>
-          </table>
-        </div>
+                ) : (
+                  subscribers.map((sub) => (
+                    <tr key={sub.id} style={{ borderBottom: '1px solid #e5e5e5' }}>
+                      <td style={tdStyle}>
+                        <div style={{ fontWeight: 500 }}>
+                          {sub.profileId
+                            ? <a href={`/subscribers/${encodeURIComponent(sub.profileId)}`} style={{ color: 'inherit' }}>{sub.email}</a>
+                            : sub.email}
+                        </div>
+                        {sub.name && <div style={{ fontSize: 13, color: '#6b7280' }}>{sub.name}</div>}
+                        {sub.status === 'cancelled' && (
+                          <div style={{ fontSize: 12, color: '#dc2626', marginTop: 4 }}>
+                            {sub.cancelledBy === 'customer' ? 'Unsubscribed' : sub.cancelledBy ? `Removed by ${sub.cancelledBy}` : 'Cancelled'}
+                            {sub.cancelledAt && ` ${formatDate(sub.cancelledAt)}`}
+                          </div>
+                        )}
+                      </td>
+                      <td style={tdStyle}>
+                        {sub.productTitle ? (
+                          <>
+                            <div>{sub.productTitle}</div>
+                            {sub.sku && <div style={{ fontSize: 12, color: '#6b7280' }}>SKU: {sub.sku}</div>}
+                          </>
+                        ) : (
+                          <span style={{ color: '#9ca3af' }}>-</span>
+                        )}
+                      </td>
+                      <td style={{ ...tdStyle, textAlign: 'center' }}>
+                        {formatDate(sub.signupDate)}
+                      </td>
+                      <td style={{ ...tdStyle, textAlign: 'center' }}>
+                        <Badge yes={sub.alertSent} />
+                        {sub.alertSource && (
+                          <div
+                            style={{ fontSize: 12, color: sub.alertSource === 'klaviyo-email' ? '#b45309' : '#6b7280', marginTop: 4 }}
+                            title="Where the alert status comes from"
+                          >
+                            {ALERT_SOURCE_LABELS[sub.alertSource] || sub.alertSource}
+                          </div>
+                        )}
+                        {sub.alertWave && (
+                          <div style={{ fontSize: 12, color: '#6b7280', marginTop: 4 }}>Wave {sub.alertWave}</div>
+                        )}
+                        {!sub.alertWave && sub.queuedWave && (
+                          <div style={{ fontSize: 12, color: '#b45309', marginTop: 4 }}>Queued for wave {sub.queuedWave}</div>
+                        )}
+                        {sub.lastAlert?.triggeredBy && (
+                          <div style={{ fontSize: 12, color: '#6b7280', marginTop: 4 }}>
+                            {sub.lastAlert.trigger === 'resend' ? 'Resent' : 'Sent manually'} by {sub.lastAlert.triggeredBy}
+                            {' '}{formatDate(sub.lastAlert.sentAt)}
+                          </div>
+                        )}
+                      </td>
+                      <td style={{ ...tdStyle, textAlign: 'center' }}>
+                        <Badge yes={sub.ordered} />
+                      </td>
+                      <td style={{ ...tdStyle, textAlign: 'center' }}>
+                        {sub.inventory !== null ? (
+                          <span style={{
+                            display: 'inline-block',
+                            padding: '4px 12px',
+                            backgroundColor: sub.inventory > 0 ? '#dcfce7' : '#fee2e2',
+                            color: sub.inventory > 0 ? '#166534' : '#dc2626',
+                            borderRadius: 9999,
+                            fontSize: 13,
+                            fontWeight: 600
+                          }}>
+                            {sub.inventory}
+                          </span>
+                        ) : '-'}
+                      </td>
+                      <td style={tdStyle}>
+                        <div style={{ display: 'flex', gap: 8 }}>
+                          {sub.productUrl && (
+                            <a href={sub.productUrl} target="_blank" rel="noopener noreferrer" style={linkStyle}>
+                              Product
+                            </a>
+                          )}
+                          <a
+                            href={sub.shopifyCustomerId
+                              ? `https://admin.shopify.com/store/bbqing-com/customers/${sub.shopifyCustomerId}`
+                              : `https://admin.shopify.com/store/bbqing-com/customers?query=${encodeURIComponent(sub.email)}`
+                            }
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            style={{ ...linkStyle, backgroundColor: '#e0e7ff', color: '#3730a3' }}
+                          >
+                            Shopify
+                          </a>
+                          <a
+                            href={`https://www.klaviyo.com/profile/${sub.profileId}`}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            style={linkStyle}
+                          >
+                            Klaviyo
+                          </a>
+                          {['waiting', 'alerted'].includes(sub.status) && (
+                            <button
+                              onClick={() => resendAlert(sub)}
+                              disabled={busyAction !== null}
+                              style={buttonStyle}
+                            >
+                              {busyAction === `resend:${sub.id}` ? 'Sending...' : sub.alertSent ? 'Resend' : 'Send'}
+                            </button>
+                          )}
+                          {sub.status !== 'cancelled' && (
+                            <button
+                              onClick={() => removeEntry(sub)}
+                              disabled={busyAction !== null}
+                              style={{ ...buttonStyle, color: '#dc2626' }}
+                            >
+                              {busyAction === `remove:${sub.id}` ? 'Removing...' : 'Remove'}
+                            </button>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {!demandView && !funnelView && paging.totalPages > 1 && query && (
+          <div style={{
+            padding: 16,
+            borderTop: '1px solid #e5e5e5',
+            display: 'flex',
+            justifyContent: 'flex-end',
+            alignItems: 'center',
+            gap: 12,
+            fontSize: 14
+          }}>
+            <button
+              onClick={() => updateQuery({ page: String(paging.page - 1) })}
+              disabled={paging.page <= 1 || loading}
+              style={buttonStyle}
+            >
+              Previous
+            </button>
+            <span>Page <strong>{paging.page}</strong> of {paging.totalPages}</span>
+            <button
+              onClick={() => updateQuery({ page: String(paging.page + 1) })}
+              disabled={paging.page >= paging.totalPages || loading}
+              style={buttonStyle}
+            >
+              Next
+            </button>
+          </div>
+        )}
       </div>
 
       <div style={{
@@ -251,12 +820,21 @@ export default function Dashboard() {
       </div>
 
       <footer style={{ marginTop: 16, textAlign: 'center', color: '#9ca3af', fontSize: 13 }}>
+        {generatedAt && (
+          <>
+            <span title={new Date(generatedAt).toLocaleString()}>
+              Data as of <strong>{formatAge(generatedAt)}</strong>
+              {serverRefreshing && ' (updating in background)'}
+            </span>
+            {' • '}
+          </>
+        )}
         <span style={{ marginRight: 8 }}>
           Auto-refresh in <strong>{formatCountdown(countdown)}</strong>
         </span>
         {' • '}
         <button
-          onClick={() => { fetchData(); setCountdown(300); }}
+          onClick={() => { fetchData(true); setCountdown(300); }}
           style={{
             background: 'none',
             border: 'none',
@@ -268,26 +846,426 @@ export default function Dashboard() {
           Refresh now
         </button>
         {' • '}
+        <a href="/restocks" style={{ color: '#6b7280' }}>
+          Restock log
+        </a>
+        {' • '}
         <a href="https://www.klaviyo.com/lists" target="_blank" rel="noopener noreferrer" style={{ color: '#6b7280' }}>
           View in Klaviyo
         </a>
+        {' • '}
+        <button
+          onClick={signOut}
+          style={{
+            background: 'none',
+            border: 'none',
+            color: '#6b7280',
+            cursor: 'pointer',
+            textDecoration: 'underline'
+          }}
+        >
+          Sign out
+        </button>
       </footer>
     </div>
   );
 }
 
-function Badge({ yes }) {
+// Demand view: one row per product/variant (lib/demand.js), sortable in place.
+// Clicking a row drills down into its subscribers.
+function DemandTable({ demand, loading, formatDate, onSelect }) {
+  const [sort, setSort] = useState({ field: 'waiting', dir: 'desc' });
+
+  const columns = [
+    ['productTitle', 'Product', false],
+    ['waiting', 'Waiting', true],
+    ['alerted', 'Alerted', true],
+    ['ordered', 'Ordered', true],
+    ['conversionRate', 'Conversion', true],
+    ['inventory', 'Inventory', true],
+    ['oldestSignup', 'Oldest Signup', true],
+  ];
+
+  const sorted = [...demand].sort((a, b) => {
+    const va = a[sort.field];
+    const vb = b[sort.field];
+    if (va === vb) return 0;
+    if (va === null || va === undefined) return 1;
+    if (vb === null || vb === undefined) return -1;
+    return (va < vb ? -1 : 1) * (sort.dir === 'asc' ? 1 : -1);
+  });
+
+  const toggle = (field) => setSort(prev => ({
+    field,
+    dir: prev.field === field && prev.dir === 'desc' ? 'asc' : 'desc',
+  }));
+
+  return (
+    <div style={{ overflowX: 'auto' }}>
+      <table style={{ width: '100%', borderCollapse: 'collapse', minWidth: 900 }}>
+        <thead>
+          <tr style={{ backgroundColor: '#f9fafb' }}>
+            {columns.map(([field, label, center]) => (
+              <SortableTh
+                key={field}
+                field={field}
+                query={{ sort: sort.field, dir: sort.dir }}
+                onSort={toggle}
+                center={center}
+              >
+                {label}
+              </SortableTh>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {sorted.length === 0 ? (
+            <tr>
+              <td colSpan={columns.length} style={{ padding: 48, textAlign: 'center', color: '#9ca3af' }}>
+                {loading ? 'Loading...' : 'No signups found'}
+              </td>
+            </tr>
+          ) : (
+            sorted.map((group) => (
+              <tr
+                key={group.key}
+                onClick={() => onSelect(group)}
+                style={{ borderBottom: '1px solid #e5e5e5', cursor: 'pointer' }}
+                title="Show these subscribers"
+              >
+                <td style={tdStyle}>
+                  <div style={{ fontWeight: 500 }}>{group.productTitle}</div>
+                  <div style={{ fontSize: 12, color: '#6b7280' }}>
+                    {group.variantId ? (group.sku ? `SKU: ${group.sku}` : `Variant ${group.variantId}`) : 'Any variant'}
+                  </div>
+                </td>
+                <td style={{ ...tdStyle, textAlign: 'center', fontWeight: 600 }}>{group.waiting}</td>
+                <td style={{ ...tdStyle, textAlign: 'center' }}>{group.alerted}</td>
+                <td style={{ ...tdStyle, textAlign: 'center' }}>{group.ordered}</td>
+                <td style={{ ...tdStyle, textAlign: 'center' }}>
+                  {group.conversionRate === null ? '-' : `${Math.round(group.conversionRate * 100)}%`}
+                </td>
+                <td style={{ ...tdStyle, textAlign: 'center' }}>{group.inventory ?? '-'}</td>
+                <td style={{ ...tdStyle, textAlign: 'center' }}>{formatDate(group.oldestSignup)}</td>
+              </tr>
+            ))
+          )}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+const formatPercent = (rate) => (rate === null || rate === undefined ? '-' : `${Math.round(rate * 100)}%`);
+
+const formatHours = (hours) => {
+  if (hours === null || hours === undefined) return '-';
+  return hours < 48 ? `${Math.round(hours)} hr` : `${Math.round(hours / 24)} days`;
+};
+
+const formatMoney = (amount, currency) => {
+  if (!currency) return amount ? amount.toFixed(2) : '-';
+  return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount);
+};
+
+// Per-status alert counts from a send (sendAlerts in lib/restock.js), e.g. "12 sent, 1 failed"
+const ALERT_COUNT_LABELS = {
+  sent: 'sent',
+  failed: 'failed',
+  skipped_already_alerted: 'skipped (already alerted)',
+  queued_for_next_wave: 'queued for next wave',
+  skipped_ordered: 'skipped (already ordered)',
+};
+
+const formatAlertCounts = (counts) => {
+  if (!counts) return '-';
+  return Object.entries(ALERT_COUNT_LABELS)
+    .filter(([status]) => status === 'sent' || counts[status])
+    .map(([status, label]) => `${counts[status] || 0} ${label}`)
+    .join(', ');
+};
+
+// Funnel view: signup -> alerted -> ordered totals (lib/funnel.js), then the
+// same numbers per product and per signup week
+function FunnelReport({ funnel, loading, formatDate }) {
+  if (!funnel || funnel.totals.signups === 0) {
+    return (
+      <div style={{ padding: 48, textAlign: 'center', color: '#9ca3af' }}>
+        {loading ? 'Loading...' : 'No signups found'}
+      </div>
+    );
+  }
+
+  const { totals } = funnel;
+  const cards = [
+    ['Signups', totals.signups, null],
+    ['Alerted', totals.alerted, `${formatPercent(totals.alertRate)} of signups`],
+    ['Ordered after alert', totals.orderedAfterAlert, `${formatPercent(totals.alertConversionRate)} of alerted`],
+    ['Ordered before alert', totals.orderedBeforeAlert, 'not counted as alert conversions'],
+    ['Median alert to order', formatHours(totals.medianHoursToPurchase), null],
+    ['Revenue after alert', formatMoney(totals.revenueAfterAlert, totals.currency), `${formatMoney(totals.revenueBeforeAlert, totals.currency)} before alert`],
+  ];
+
+  return (
+    <div>
+      <div style={{ padding: 16, display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(180px, 1fr))', gap: 12 }}>
+        {cards.map(([label, value, note]) => (
+          <div key={label} style={{ padding: 12, border: '1px solid #e5e7eb', borderRadius: 6 }}>
+            <div style={{ fontSize: 12, color: '#6b7280' }}>{label}</div>
+            <div style={{ fontSize: 22, fontWeight: 600, marginTop: 4 }}>{value}</div>
+            {note && <div style={{ fontSize: 12, color: '#6b7280', marginTop: 2 }}>{note}</div>}
+          </div>
+        ))}
+      </div>
+      {totals.unknownOrderStatus > 0 && (
+        <p style={{ margin: '0 16px 16px', fontSize: 13, color: '#92400e' }}>
+          Orders couldn't be checked for {totals.unknownOrderStatus} signups - they count as not ordered here.
+        </p>
+      )}
+      <FunnelTable
+        title="By product"
+        label="Product"
+        groups={funnel.byProduct}
+        rowKey={(group) => group.productId}
+        renderLabel={(group) => group.productTitle}
+      />
+      <FunnelTable
+        title="By signup week"
+        label="Week of"
+        groups={funnel.byWeek}
+        rowKey={(group) => group.week}
+        renderLabel={(group) => formatDate(`${group.week}T00:00:00Z`)}
+      />
+    </div>
+  );
+}
+
+function FunnelTable({ title, label, groups, rowKey, renderLabel }) {
+  return (
+    <div style={{ overflowX: 'auto', borderTop: '1px solid #e5e5e5' }}>
+      <h3 style={{ fontSize: 14, fontWeight: 600, margin: 0, padding: '12px 16px' }}>{title}</h3>
+      <table style={{ width: '100%', borderCollapse: 'collapse', minWidth: 900 }}>
+        <thead>
+          <tr style={{ backgroundColor: '#f9fafb' }}>
+            <th style={thStyle}>{label}</th>
+            {['Signups', 'Alerted', 'Ordered', 'After Alert', 'Before Alert', 'Conversion', 'Median Time', 'Revenue (after / before)'].map((heading) => (
+              <th key={heading} style={{ ...thStyle, textAlign: 'center' }}>{heading}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {groups.map((group) => (
+            <tr key={rowKey(group)} style={{ borderBottom: '1px solid #e5e5e5' }}>
+              <td style={{ ...tdStyle, fontWeight: 500 }}>{renderLabel(group)}</td>
+              <td style={{ ...tdStyle, textAlign: 'center' }}>{group.signups}</td>
+              <td style={{ ...tdStyle, textAlign: 'center' }}>{group.alerted}</td>
+              <td style={{ ...tdStyle, textAlign: 'center' }}>{group.ordered}</td>
+              <td style={{ ...tdStyle, textAlign: 'center' }}>{group.orderedAfterAlert}</td>
+              <td style={{ ...tdStyle, textAlign: 'center' }}>{group.orderedBeforeAlert}</td>
+              <td style={{ ...tdStyle, textAlign: 'center' }} title="Ordered after alert / alerted">
+                {formatPercent(group.alertConversionRate)}
+              </td>
+              <td style={{ ...tdStyle, textAlign: 'center' }}>{formatHours(group.medianHoursToPurchase)}</td>
+              <td style={{ ...tdStyle, textAlign: 'center' }}>
+                {formatMoney(group.revenueAfterAlert, group.currency)} / {formatMoney(group.revenueBeforeAlert, group.currency)}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// Reconciliation run log (lib/reconcile.js): the latest run's missed subscribers
+// by product/variant, then a short history
+function ReconcileRuns({ runs, formatAge }) {
+  if (runs.length === 0) {
+    return <p style={{ fontSize: 13, color: '#6b7280', margin: '12px 0 0' }}>No checks have run yet.</p>;
+  }
+
+  const [latest] = runs;
+  return (
+    <div style={{ marginTop: 12, fontSize: 13 }}>
+      {latest.status === 'failed' && <div style={{ color: '#dc2626', marginBottom: 8 }}>Last run failed: {latest.error}</div>}
+      {latest.warnings?.map((warning) => (
+        <div key={warning} style={{ color: '#b45309', marginBottom: 8 }}>{warning}</div>
+      ))}
+      {latest.groups?.length > 0 && (
+        <table style={{ width: '100%', borderCollapse: 'collapse', marginBottom: 12 }}>
+          <thead>
+            <tr style={{ backgroundColor: '#f9fafb' }}>
+              <th style={thStyle}>Product</th>
+              <th style={{ ...thStyle, textAlign: 'center' }}>Inventory</th>
+              <th style={{ ...thStyle, textAlign: 'center' }}>Never alerted</th>
+              {latest.mode === 'send' && <th style={{ ...thStyle, textAlign: 'center' }}>Alerts</th>}
+              <th style={thStyle}>Subscribers</th>
+            </tr>
+          </thead>
+          <tbody>
+            {latest.groups.map((group) => (
+              <tr key={`${group.productId}:${group.variantId}`} style={{ borderBottom: '1px solid #e5e5e5' }}>
+                <td style={tdStyle}>
+                  {group.productTitle}
+                  <div style={{ fontSize: 12, color: '#6b7280' }}>{group.variantId ? `Variant ${group.variantId}` : 'Any variant'}</div>
+                </td>
+                <td style={{ ...tdStyle, textAlign: 'center' }}>{group.inventory}</td>
+                <td style={{ ...tdStyle, textAlign: 'center' }}>{group.missed}</td>
+                {latest.mode === 'send' && (
+                  <td style={{ ...tdStyle, textAlign: 'center' }}>
+                    {group.error || formatAlertCounts(group.counts)}
+                  </td>
+                )}
+                <td style={{ ...tdStyle, fontSize: 12, color: '#6b7280' }}>
+                  {group.emails.join(', ')}{group.missed > group.emails.length ? ', ...' : ''}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <div style={{ color: '#6b7280' }}>
+        {runs.map((run) => (
+          <div key={run.id} style={{ padding: '4px 0' }}>
+            {formatAge(run.startedAt)} • {run.mode} by {run.triggeredBy} •{' '}
+            {run.status === 'ok'
+              ? `${run.scanned} waiting, ${run.inStock} in stock, ${run.missed} never alerted` +
+                (run.mode === 'send' ? `, ${formatAlertCounts(run.counts)}` : '')
+              : run.status}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// Sortable column header; click again to flip direction
+function SortableTh({ field, query, onSort, center = false, children }) {
+  const active = query?.sort === field;
   return (
-    <span style={{
-      display: 'inline-block',
-      padding: '4px 12px',
-      backgroundColor: yes ? '#dcfce7' : '#f3f4f6',
-      color: yes ? '#166534' : '#6b7280',
-      borderRadius: 9999,
-      fontSize: 13,
-      fontWeight: 500
+    <th style={{ ...thStyle, textAlign: center ? 'center' : 'left' }}>
+      <button
+        onClick={() => onSort(field)}
+        style={{
+          background: 'none',
+          border: 'none',
+          padding: 0,
+          font: 'inherit',
+          cursor: 'pointer',
+          color: active ? '#111827' : 'inherit'
+        }}
+      >
+        {children}{active ? (query.dir === 'asc' ? ' ▲' : ' ▼') : ''}
+      </button>
+    </th>
+  );
+}
+
+// Dropdown filter; the empty option means "any" (or the filter's default, labelled by anyLabel)
+function FilterSelect({ label, value, onChange, options, anyLabel = 'Any' }) {
+  return (
+    <label style={filterLabelStyle}>
+      {label}
+      <select value={value} onChange={(e) => onChange(e.target.value)} style={inputStyle}>
+        <option value="">{anyLabel}</option>
+        {options.map(([optionValue, optionLabel]) => (
+          <option key={optionValue} value={optionValue}>{optionLabel}</option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+// Result of a webhook dry run: who a real restock call would alert, queue or skip
+function RestockPreview({ preview, onClose }) {
+  const actionLabels = {
+    alert: 'Alert now',
+    queue_next_wave: 'Queued for next wave',
+    skip_already_alerted: 'Skipped (already alerted)',
+    skip_ordered: 'Skipped (already ordered)',
+    none: '-',
+  };
+
+  return (
+    <div style={{
+      padding: 16,
+      backgroundColor: '#fff',
+      border: '1px solid #c7d2fe',
+      borderRadius: 8,
+      marginBottom: 24
     }}>
-      {yes ? 'Yes' : 'No'}
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 8 }}>
+        <strong>Preview: {preview.product?.title || 'restock alert'}</strong>
+        <button onClick={onClose} style={buttonStyle}>Close</button>
+      </div>
+
+      {preview.error ? (
+        <div style={{ color: '#dc2626' }}>{preview.error}</div>
+      ) : (
+        <>
+          <p style={{ margin: '0 0 12px', fontSize: 14, color: preview.wouldSend ? '#374151' : '#b45309' }}>
+            {preview.message}
+            {preview.counts && ` • ${preview.counts.queuedForNextWave} queued • ${preview.counts.skippedAlreadyAlerted} skipped (already alerted)`}
+            {preview.counts?.skippedOrdered > 0 && ` • ${preview.counts.skippedOrdered} skipped (already ordered)`}
+            {preview.matchMode && ` • match mode: ${preview.matchMode}`}
+          </p>
+          {preview.subscribers?.length > 0 ? (
+            <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+              <thead>
+                <tr style={{ backgroundColor: '#f9fafb' }}>
+                  <th style={thStyle}>Email</th>
+                  <th style={thStyle}>Matched on</th>
+                  <th style={thStyle}>Signed Up</th>
+                  <th style={thStyle}>Would</th>
+                </tr>
+              </thead>
+              <tbody>
+                {preview.subscribers.map((sub) => (
+                  <tr key={sub.email} style={{ borderBottom: '1px solid #e5e5e5' }}>
+                    <td style={tdStyle}>{sub.email}</td>
+                    <td style={tdStyle}>{sub.matchRule}</td>
+                    <td style={tdStyle}>{sub.signupDate ? new Date(sub.signupDate).toLocaleDateString() : '-'}</td>
+                    <td style={tdStyle}>{actionLabels[sub.action] || sub.action}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <p style={{ margin: 0, color: '#9ca3af' }}>No matching subscribers</p>
+          )}
+          {preview.events?.length > 0 && (
+            <details style={{ marginTop: 12 }}>
+              <summary style={{ cursor: 'pointer', fontSize: 13, color: '#6b7280' }}>
+                Klaviyo event payloads ({preview.events.length})
+              </summary>
+              <pre style={{ fontSize: 12, backgroundColor: '#f9fafb', padding: 12, overflowX: 'auto', maxHeight: 400 }}>
+                {JSON.stringify(preview.events, null, 2)}
+              </pre>
+            </details>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+// yes === null means the status couldn't be checked (e.g. Shopify rate limited)
+function Badge({ yes }) {
+  const unknown = yes === null || yes === undefined;
+  return (
+    <span
+      title={unknown ? 'Could not be checked - see warnings above' : undefined}
+      style={{
+        display: 'inline-block',
+        padding: '4px 12px',
+        backgroundColor: yes ? '#dcfce7' : unknown ? '#fef3c7' : '#f3f4f6',
+        color: yes ? '#166534' : unknown ? '#92400e' : '#6b7280',
+        borderRadius: 9999,
+        fontSize: 13,
+        fontWeight: 500
+      }}
+    >
+      {yes ? 'Yes' : unknown ? '?' : 'No'}
     </span>
   );
 }
@@ -314,3 +1292,29 @@ const linkStyle = {
   color: '#374151',
   whiteSpace: 'nowrap'
 };
+
+const buttonStyle = {
+  padding: '6px 12px',
+  fontSize: 13,
+  backgroundColor: '#f3f4f6',
+  border: '1px solid #e5e7eb',
+  borderRadius: 4,
+  color: '#374151',
+  cursor: 'pointer'
+};
+
+const inputStyle = {
+  padding: '8px 12px',
+  border: '1px solid #d1d5db',
+  borderRadius: 6,
+  fontSize: 14
+};
+
+const filterLabelStyle = {
+  display: 'flex',
+  flexDirection: 'column',
+  gap: 4,
+  fontSize: 12,
+  fontWeight: 500,
+  color: '#6b7280'
+};
@@ -0,0 +1,365 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+
+// Labels for the webhook audit log (lib/webhook-log.js)
+const OUTCOME_LABELS = {
+  queued: 'Queued',
+  dry_run: 'Preview',
+  duplicate: 'Duplicate',
+  ignored: 'Ignored',
+  invalid: 'Invalid',
+  unauthorized: 'Unauthorized',
+  error: 'Error',
+};
+
+// Per-subscriber alert statuses (sendAlerts in lib/restock.js, plus restock job extras)
+const RESULT_LABELS = {
+  sent: 'Sent',
+  failed: 'Failed',
+  skipped_already_alerted: 'Skipped (already alerted)',
+  queued_for_next_wave: 'Queued for next wave',
+  skipped_ordered: 'Skipped (already ordered)',
+  pending: 'Pending',
+};
+
+const RESULT_COLORS = {
+  sent: '#16a34a',
+  failed: '#dc2626',
+  skipped_already_alerted: '#6b7280',
+  queued_for_next_wave: '#2563eb',
+  skipped_ordered: '#6b7280',
+  pending: '#9ca3af',
+};
+
+// Restock log: every inventory webhook call from the audit log, newest first,
+// searchable by product. Opening one (?id=) shows its payload, the resolved
+// product and each matched subscriber's alert result.
+export default function RestockLog() {
+  const [calls, setCalls] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [selectedId, setSelectedId] = useState(null);
+  const [product, setProduct] = useState('');
+  const [outcome, setOutcome] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const redirectToLogin = () => {
+    window.location.href = `/login?next=${encodeURIComponent(window.location.pathname + window.location.search)}`;
+  };
+
+  const fetchJson = async (url) => {
+    const res = await fetch(url);
+    if (res.status === 401) {
+      redirectToLogin();
+      return null;
+    }
+    const data = await res.json();
+    if (data.error) throw new Error(data.error);
+    return data;
+  };
+
+  const fetchCalls = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const params = new URLSearchParams();
+      if (product.trim()) params.set('product', product.trim());
+      if (outcome) params.set('outcome', outcome);
+      const data = await fetchJson(`/api/webhook-log?${params}`);
+      if (data) setCalls(data.calls);
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // The open call lives in the URL so it can be shared
+  const openCall = async (id) => {
+    setSelectedId(id);
+    const url = new URL(window.location.href);
+    if (id) url.searchParams.set('id', id);
+    else url.searchParams.delete('id');
+    window.history.replaceState(null, '', url);
+
+    if (!id) {
+      setSelected(null);
+      return;
+    }
+    try {
+      const data = await fetchJson(`/api/webhook-log/${encodeURIComponent(id)}`);
+      if (data) setSelected(data.call);
+    } catch (e) {
+      setError(e.message);
+      setSelected(null);
+    }
+  };
+
+  useEffect(() => {
+    const id = new URLSearchParams(window.location.search).get('id');
+    if (id) openCall(id);
+  }, []);
+
+  // Load on mount and re-search as filters change, after a short pause for typing
+  useEffect(() => {
+    const timer = setTimeout(fetchCalls, 300);
+    return () => clearTimeout(timer);
+  }, [product, outcome]);
+
+  return (
+    <div style={{ padding: 24, maxWidth: 1400, margin: '0 auto' }}>
+      <header style={{ marginBottom: 24 }}>
+        <h1 style={{ fontSize: 24, fontWeight: 600, marginBottom: 8 }}>Restock Log</h1>
+        <p style={{ color: '#666', margin: 0 }}>
+          Every inventory webhook call and who it alerted • <a href="/" style={{ color: '#6b7280' }}>Back to dashboard</a>
+        </p>
+      </header>
+
+      {error && (
+        <div style={{
+          padding: 16,
+          backgroundColor: '#fef2f2',
+          border: '1px solid #fecaca',
+          borderRadius: 8,
+          marginBottom: 24,
+          color: '#dc2626'
+        }}>
+          <strong>Error:</strong> {error}
+        </div>
+      )}
+
+      {selectedId && (
+        <CallDetail call={selected} onClose={() => openCall(null)} />
+      )}
+
+      <div style={{ backgroundColor: '#fff', borderRadius: 8, border: '1px solid #e5e5e5', overflow: 'hidden' }}>
+        <div style={{ padding: 16, borderBottom: '1px solid #e5e5e5', display: 'flex', gap: 12, alignItems: 'center', flexWrap: 'wrap' }}>
+          <input
+            type="search"
+            placeholder="Product ID, variant ID or title"
+            value={product}
+            onChange={(e) => setProduct(e.target.value)}
+            style={{ ...inputStyle, width: 280 }}
+          />
+          <select value={outcome} onChange={(e) => setOutcome(e.target.value)} style={inputStyle}>
+            <option value="">All outcomes</option>
+            {Object.entries(OUTCOME_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <button onClick={fetchCalls} disabled={loading} style={buttonStyle}>
+            {loading ? 'Loading...' : 'Refresh'}
+          </button>
+          <span style={{ color: '#6b7280', fontSize: 13 }}><strong>{calls.length}</strong> calls</span>
+        </div>
+
+        <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+          <thead>
+            <tr style={{ backgroundColor: '#f9fafb' }}>
+              <th style={thStyle}>Received</th>
+              <th style={thStyle}>Outcome</th>
+              <th style={thStyle}>Product</th>
+              <th style={thStyle}>Job</th>
+              <th style={thStyle}>Alerts</th>
+              <th style={thStyle}></th>
+            </tr>
+          </thead>
+          <tbody>
+            {calls.length === 0 ? (
+              <tr>
+                <td colSpan={6} style={{ ...tdStyle, textAlign: 'center', color: '#9ca3af', padding: 48 }}>
+                  {loading ? 'Loading...' : 'No webhook calls recorded'}
+                </td>
+              </tr>
+            ) : calls.map((call) => (
+              <tr
+                key={call.id}
+                style={{ borderBottom: '1px solid #e5e5e5', backgroundColor: call.id === selectedId ? '#f9fafb' : undefined }}
+              >
+                <td style={tdStyle}>{formatDateTime(call.receivedAt)}</td>
+                <td style={tdStyle}>
+                  <OutcomeBadge outcome={call.outcome} />
+                  {call.message && <div style={{ fontSize: 12, color: '#6b7280', marginTop: 4 }}>{call.message}</div>}
+                </td>
+                <td style={tdStyle}>
+                  {call.product?.title || (call.productId ? `Product ${call.productId}` : '-')}
+                  <div style={{ fontSize: 12, color: '#6b7280' }}>{call.variantId ? `Variant ${call.variantId}` : 'Any variant'}</div>
+                </td>
+                <td style={tdStyle}>{call.jobStatus || '-'}</td>
+                <td style={tdStyle}>
+                  {formatCounts(call.counts)}
+                  {call.errors?.length > 0 && (
+                    <div style={{ fontSize: 12, color: '#dc2626' }}>{call.errors.length} error{call.errors.length === 1 ? '' : 's'}</div>
+                  )}
+                </td>
+                <td style={{ ...tdStyle, textAlign: 'right' }}>
+                  <button onClick={() => openCall(call.id)} style={buttonStyle}>Open</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+// One webhook call: summary, errors, every matched subscriber's result, then the raw payload
+function CallDetail({ call, onClose }) {
+  if (!call) {
+    return <div style={{ ...panelStyle, color: '#9ca3af' }}>Loading...</div>;
+  }
+
+  // Subscribers the job matched, with their result once the job has run (or the dry run's action)
+  const resultsByEmail = new Map((call.results || []).map(r => [r.email, r]));
+  const rows = (call.subscribers || []).map(sub => ({
+    ...sub,
+    ...(resultsByEmail.get(sub.email) || {}),
+    status: resultsByEmail.get(sub.email)?.status ||
+      (call.jobStatus === 'queued' || call.jobStatus === 'running' ? 'pending' : null),
+  }));
+
+  return (
+    <div style={panelStyle}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: 12 }}>
+        <div>
+          <h2 style={{ fontSize: 18, fontWeight: 600, margin: '0 0 4px' }}>
+            {call.product?.title || (call.productId ? `Product ${call.productId}` : 'Webhook call')}
+          </h2>
+          <div style={{ fontSize: 13, color: '#6b7280' }}>
+            {formatDateTime(call.receivedAt)} • <OutcomeBadge outcome={call.outcome} /> • HTTP {call.httpStatus}
+            {call.auth && ` • via ${call.auth}`}
+            {call.topic && ` • ${call.topic}`}
+          </div>
+        </div>
+        <button onClick={onClose} style={buttonStyle}>Close</button>
+      </div>
+
+      <dl style={{ display: 'grid', gridTemplateColumns: 'max-content 1fr', gap: '4px 16px', fontSize: 13, margin: '16px 0' }}>
+        <dt style={dtStyle}>Message</dt><dd style={ddStyle}>{call.message || call.reason || '-'}</dd>
+        <dt style={dtStyle}>Product</dt><dd style={ddStyle}>{call.product?.id || call.productId || '-'}</dd>
+        <dt style={dtStyle}>Variant</dt><dd style={ddStyle}>{call.variantId || 'Any variant'}</dd>
+        <dt style={dtStyle}>Inventory</dt><dd style={ddStyle}>{call.product?.inventory ?? '-'}</dd>
+        <dt style={dtStyle}>Job</dt><dd style={ddStyle}>{call.jobId ? `${call.jobStatus} (${call.jobId})` : '-'}</dd>
+        <dt style={dtStyle}>Alerts</dt><dd style={ddStyle}>{formatCounts(call.counts)}</dd>
+      </dl>
+
+      {call.errors?.length > 0 && (
+        <div style={{ marginBottom: 16 }}>
+          <h3 style={h3Style}>Errors</h3>
+          {call.errors.map((e, i) => (
+            <div key={i} style={{ fontSize: 13, color: '#dc2626' }}>{formatDateTime(e.at)}: {e.message}</div>
+          ))}
+        </div>
+      )}
+
+      <h3 style={h3Style}>Subscribers ({rows.length})</h3>
+      {rows.length === 0 ? (
+        <p style={{ fontSize: 13, color: '#6b7280', margin: '0 0 16px' }}>No subscribers matched.</p>
+      ) : (
+        <table style={{ width: '100%', borderCollapse: 'collapse', marginBottom: 16 }}>
+          <thead>
+            <tr style={{ backgroundColor: '#f9fafb' }}>
+              <th style={thStyle}>Email</th>
+              <th style={thStyle}>Matched by</th>
+              <th style={thStyle}>{call.dryRun ? 'Would' : 'Result'}</th>
+              <th style={thStyle}>Attempts</th>
+              <th style={thStyle}>Error</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row) => (
+              <tr key={row.email} style={{ borderBottom: '1px solid #e5e5e5' }}>
+                <td style={tdStyle}>
+                  {row.profileId
+                    ? <a href={`/subscribers/${encodeURIComponent(row.profileId)}`} style={{ color: 'inherit' }}>{row.email}</a>
+                    : row.email}
+                </td>
+                <td style={tdStyle}>{row.matchRule || '-'}</td>
+                <td style={{ ...tdStyle, color: RESULT_COLORS[row.status] || '#374151', fontWeight: 500 }}>
+                  {call.dryRun ? row.action : (RESULT_LABELS[row.status] || row.status || '-')}
+                </td>
+                <td style={tdStyle}>{row.attempts ?? '-'}</td>
+                <td style={{ ...tdStyle, color: '#dc2626' }}>{row.error || ''}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <h3 style={h3Style}>Payload</h3>
+      <pre style={{ fontSize: 12, backgroundColor: '#f9fafb', padding: 12, borderRadius: 4, overflowX: 'auto', margin: 0 }}>
+        {call.payload ? JSON.stringify(call.payload, null, 2) : 'Not kept'}
+      </pre>
+    </div>
+  );
+}
+
+function OutcomeBadge({ outcome }) {
+  const bad = outcome === 'error' || outcome === 'unauthorized' || outcome === 'invalid';
+  return (
+    <span style={{
+      padding: '2px 8px',
+      borderRadius: 4,
+      fontSize: 12,
+      fontWeight: 500,
+      backgroundColor: bad ? '#fee2e2' : outcome === 'queued' ? '#dcfce7' : '#f3f4f6',
+      color: bad ? '#dc2626' : outcome === 'queued' ? '#166534' : '#374151'
+    }}>
+      {OUTCOME_LABELS[outcome] || outcome}
+    </span>
+  );
+}
+
+const formatDateTime = (dateStr) => (dateStr ? new Date(dateStr).toLocaleString() : '-');
+
+const formatCounts = (counts) => {
+  if (!counts) return '-';
+  return Object.entries(RESULT_LABELS)
+    .filter(([status]) => status === 'sent' || counts[status])
+    .map(([status, label]) => `${counts[status] || 0} ${label.toLowerCase()}`)
+    .join(', ');
+};
+
+const panelStyle = {
+  backgroundColor: '#fff',
+  borderRadius: 8,
+  border: '1px solid #e5e5e5',
+  padding: 20,
+  marginBottom: 24
+};
+
+const thStyle = {
+  padding: '14px 16px',
+  textAlign: 'left',
+  fontWeight: 600,
+  fontSize: 13,
+  whiteSpace: 'nowrap'
+};
+
+const tdStyle = {
+  padding: '14px 16px',
+  fontSize: 14
+};
+
+const dtStyle = { color: '#6b7280' };
+const ddStyle = { margin: 0 };
+const h3Style = { fontSize: 14, fontWeight: 600, margin: '0 0 8px' };
+
+const inputStyle = {
+  padding: '6px 10px',
+  fontSize: 13,
+  border: '1px solid #e5e7eb',
+  borderRadius: 4
+};
+
+const buttonStyle = {
+  padding: '6px 12px',
+  fontSize: 13,
+  backgroundColor: '#f3f4f6',
+  border: '1px solid #e5e7eb',
+  borderRadius: 4,
+  color: '#374151',
+  cursor: 'pointer'
+};
@@ -0,0 +1,283 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+
+// Timeline entry types (lib/subscriber-timeline.js)
+const EVENT_STYLES = {
+  signup: { label: 'Signed up', color: '#2563eb', background: '#dbeafe' },
+  alert: { label: 'Alert sent', color: '#166534', background: '#dcfce7' },
+  email: { label: 'Email received', color: '#6d28d9', background: '#ede9fe' },
+  order: { label: 'Order', color: '#92400e', background: '#fef3c7' },
+  cancelled: { label: 'Cancelled', color: '#dc2626', background: '#fee2e2' },
+};
+
+// Who/what sent an alert (trigger in lib/alert-ledger.js)
+const TRIGGER_LABELS = {
+  webhook: 'restock',
+  wave: 'restock wave',
+  manual: 'sent manually',
+  resend: 'resent',
+  reconcile: 'missed restock check',
+};
+
+// Subscriber timeline: one person's signups, alerts, alert emails, orders and
+// cancellations, newest first - "did I get the email?" in one place
+export default function SubscriberTimeline({ params }) {
+  const { profileId } = params;
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const res = await fetch(`/api/subscribers/${encodeURIComponent(profileId)}`);
+        if (res.status === 401) {
+          window.location.href = `/login?next=${encodeURIComponent(window.location.pathname)}`;
+          return;
+        }
+        const json = await res.json();
+        if (json.error) throw new Error(json.error);
+        setData(json);
+      } catch (e) {
+        setError(e.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, [profileId]);
+
+  return (
+    <div style={{ padding: 24, maxWidth: 1000, margin: '0 auto' }}>
+      <header style={{ marginBottom: 24 }}>
+        <p style={{ margin: '0 0 8px' }}>
+          <a href="/" style={{ color: '#6b7280', fontSize: 13 }}>← Back to dashboard</a>
+        </p>
+        <h1 style={{ fontSize: 24, fontWeight: 600, marginBottom: 8 }}>{data?.email || 'Subscriber'}</h1>
+        {data && (
+          <div style={{ display: 'flex', gap: 8, alignItems: 'center', flexWrap: 'wrap', color: '#666' }}>
+            {data.name && <span>{data.name}</span>}
+            {data.emails.length > 1 && <span style={{ fontSize: 13 }}>Also: {data.emails.filter(e => e !== data.email.toLowerCase()).join(', ')}</span>}
+            <a
+              href={data.shopifyCustomerId
+                ? `https://admin.shopify.com/store/bbqing-com/customers/${data.shopifyCustomerId}`
+                : `https://admin.shopify.com/store/bbqing-com/customers?query=${encodeURIComponent(data.email)}`
+              }
+              target="_blank"
+              rel="noopener noreferrer"
+              style={{ ...linkStyle, backgroundColor: '#e0e7ff', color: '#3730a3' }}
+            >
+              Shopify
+            </a>
+            <a href={`https://www.klaviyo.com/profile/${profileId}`} target="_blank" rel="noopener noreferrer" style={linkStyle}>
+              Klaviyo
+            </a>
+          </div>
+        )}
+      </header>
+
+      {error && (
+        <div style={{
+          padding: 16,
+          backgroundColor: '#fef2f2',
+          border: '1px solid #fecaca',
+          borderRadius: 8,
+          marginBottom: 24,
+          color: '#dc2626'
+        }}>
+          <strong>Error:</strong> {error}
+        </div>
+      )}
+
+      {data?.warnings.length > 0 && (
+        <div style={{
+          padding: 12,
+          backgroundColor: '#fffbeb',
+          border: '1px solid #fde68a',
+          borderRadius: 8,
+          marginBottom: 24,
+          color: '#92400e',
+          fontSize: 13
+        }}>
+          <strong>Incomplete data:</strong>
+          <ul style={{ margin: '4px 0 0', paddingLeft: 20 }}>
+            {data.warnings.map((w) => <li key={w}>{w}</li>)}
+          </ul>
+        </div>
+      )}
+
+      {loading && <p style={{ color: '#9ca3af' }}>Loading...</p>}
+
+      {data && (
+        <>
+          <section style={panelStyle}>
+            <h2 style={h2Style}>Waitlist</h2>
+            {data.rows.length === 0 ? (
+              <p style={{ fontSize: 13, color: '#6b7280', margin: 0 }}>Not in the dashboard table yet - refresh the dashboard.</p>
+            ) : (
+              <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                <thead>
+                  <tr style={{ backgroundColor: '#f9fafb' }}>
+                    <th style={thStyle}>Product</th>
+                    <th style={thStyle}>Signed up</th>
+                    <th style={thStyle}>Status</th>
+                    <th style={thStyle}>Alert sent</th>
+                    <th style={thStyle}>Ordered</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {data.rows.map((row) => (
+                    <tr key={row.id} style={{ borderBottom: '1px solid #e5e5e5' }}>
+                      <td style={tdStyle}>
+                        {row.productTitle || `Product ${row.productId}`}
+                        <div style={{ fontSize: 12, color: '#6b7280' }}>{row.variantId ? `Variant ${row.variantId}` : 'Any variant'}</div>
+                      </td>
+                      <td style={tdStyle}>{formatDate(row.signupDate)}</td>
+                      <td style={tdStyle}>{row.status}</td>
+                      <td style={tdStyle}>{row.alertSent === null ? '?' : row.alertSent ? `Yes ${formatDate(row.alertedAt)}` : 'No'}</td>
+                      <td style={tdStyle}>{row.ordered === null ? '?' : row.ordered ? `Yes ${formatDate(row.orderedAt)}` : 'No'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </section>
+
+          <section style={panelStyle}>
+            <h2 style={h2Style}>Timeline</h2>
+            {data.timeline.length === 0 ? (
+              <p style={{ fontSize: 13, color: '#6b7280', margin: 0 }}>Nothing yet.</p>
+            ) : (
+              <ol style={{ listStyle: 'none', margin: 0, padding: 0 }}>
+                {data.timeline.map((event, i) => (
+                  <li key={i} style={{ display: 'flex', gap: 16, padding: '12px 0', borderBottom: '1px solid #f3f4f6' }}>
+                    <div style={{ width: 170, flexShrink: 0, fontSize: 13, color: '#6b7280' }}>{formatDateTime(event.at)}</div>
+                    <div style={{ width: 120, flexShrink: 0 }}>
+                      <span style={{
+                        padding: '2px 8px',
+                        borderRadius: 4,
+                        fontSize: 12,
+                        fontWeight: 500,
+                        color: EVENT_STYLES[event.type].color,
+                        backgroundColor: EVENT_STYLES[event.type].background
+                      }}>
+                        {EVENT_STYLES[event.type].label}
+                      </span>
+                    </div>
+                    <div style={{ fontSize: 14, flex: 1 }}>
+                      <TimelineDetail event={event} />
+                    </div>
+                  </li>
+                ))}
+              </ol>
+            )}
+          </section>
+        </>
+      )}
+    </div>
+  );
+}
+
+function productLabel(event) {
+  const title = event.productTitle || (event.productId ? `Product ${event.productId}` : 'Unknown product');
+  return event.variantId ? `${title} (variant ${event.variantId})` : title;
+}
+
+function TimelineDetail({ event }) {
+  const muted = { fontSize: 12, color: '#6b7280' };
+
+  switch (event.type) {
+    case 'signup':
+      return <>{productLabel(event)}{event.source && <div style={muted}>via {event.source}</div>}</>;
+    case 'cancelled':
+      return (
+        <>
+          {productLabel(event)}
+          <div style={muted}>
+            {event.by === 'customer' ? 'Unsubscribed from the alert email' : event.by ? `Removed by ${event.by}` : 'Cancelled'}
+          </div>
+        </>
+      );
+    case 'alert':
+      return (
+        <>
+          {productLabel(event)}
+          <div style={muted}>
+            {event.source === 'ledger'
+              ? [TRIGGER_LABELS[event.trigger] || event.trigger,
+                event.triggeredBy && `by ${event.triggeredBy}`,
+                event.wave && `wave ${event.wave}`].filter(Boolean).join(' • ')
+              : 'Klaviyo alert event'}
+          </div>
+        </>
+      );
+    case 'email':
+      return <>{event.subject || '(no subject)'}</>;
+    case 'order':
+      return (
+        <>
+          {event.name}
+          <ul style={{ margin: '4px 0 0', paddingLeft: 20, fontSize: 13 }}>
+            {event.lineItems.map((item, i) => (
+              <li key={i} style={{ fontWeight: item.waitlisted ? 600 : 400 }}>
+                {item.quantity} × {item.title || `Product ${item.productId}`}
+                {item.variantTitle && ` - ${item.variantTitle}`}
+                {item.currency && ` (${formatMoney(item.amount, item.currency)})`}
+                {item.waitlisted && <span style={{ ...muted, fontWeight: 400 }}> • on their waitlist</span>}
+              </li>
+            ))}
+          </ul>
+        </>
+      );
+    default:
+      return null;
+  }
+}
+
+const formatDate = (dateStr) => {
+  if (!dateStr) return '-';
+  const d = new Date(dateStr);
+  return isNaN(d.getTime()) ? '-' : d.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+};
+
+const formatDateTime = (dateStr) => {
+  if (!dateStr) return '-';
+  const d = new Date(dateStr);
+  return isNaN(d.getTime()) ? '-' : d.toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' });
+};
+
+const formatMoney = (amount, currency) => new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount);
+
+const panelStyle = {
+  backgroundColor: '#fff',
+  borderRadius: 8,
+  border: '1px solid #e5e5e5',
+  padding: 20,
+  marginBottom: 24
+};
+
+const h2Style = { fontSize: 16, fontWeight: 600, margin: '0 0 12px' };
+
+const thStyle = {
+  padding: '10px 12px',
+  textAlign: 'left',
+  fontWeight: 600,
+  fontSize: 13,
+  whiteSpace: 'nowrap'
+};
+
+const tdStyle = {
+  padding: '10px 12px',
+  fontSize: 14
+};
+
+const linkStyle = {
+  padding: '6px 12px',
+  fontSize: 13,
+  backgroundColor: '#f3f4f6',
+  borderRadius: 4,
+  textDecoration: 'none',
+  color: '#374151',
+  whiteSpace: 'nowrap'
+};
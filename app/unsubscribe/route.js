@@ -0,0 +1,85 @@
+import { verifyUnsubscribeParams } from '../../lib/unsubscribe';
+import { listEntries, setStatus } from '../../lib/waitlist';
+
+/**
+ * UNSUBSCRIBE
+ *
+ * Public page behind the signed UnsubscribeURL in alert emails (see
+ * lib/unsubscribe.js). GET shows a confirmation button - email link scanners
+ * follow GET links, so only the POST it submits cancels anything. Waiting and
+ * alerted entries in the link are marked cancelled; ordered or already
+ * cancelled ones are left alone, so the link is safe to use twice.
+ */
+
+export const dynamic = 'force-dynamic';
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+
+function page(title, body, status = 200) {
+  const html = `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>${escapeHtml(title)}</title>
+</head>
+<body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; max-width: 480px; margin: 64px auto; padding: 0 24px; color: #111827;">
+<h1 style="font-size: 22px; font-weight: 600;">${escapeHtml(title)}</h1>
+${body}
+</body>
+</html>`;
+  return new Response(html, {
+    status,
+    headers: { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' },
+  });
+}
+
+const invalidLink = () => page(
+  'Link not valid',
+  '<p>This unsubscribe link is invalid or incomplete. Please use the link from your most recent email.</p>',
+  400
+);
+
+const productList = (entries) => [...new Set(entries.map(e => e.productTitle || 'this product'))]
+  .map(title => `<li>${escapeHtml(title)}</li>`)
+  .join('');
+
+export async function GET(request) {
+  const ids = verifyUnsubscribeParams(request.nextUrl.searchParams);
+  if (!ids) return invalidLink();
+
+  const entries = (await listEntries()).filter(e => ids.includes(e.id));
+  const active = entries.filter(e => ['waiting', 'alerted'].includes(e.status));
+  if (active.length === 0) {
+    return page("You're already unsubscribed", "<p>You won't get any more back-in-stock emails for this product.</p>");
+  }
+
+  const action = `${request.nextUrl.pathname}${request.nextUrl.search}`;
+  return page('Leave the waitlist?', `
+<p>You'll stop getting back-in-stock emails for:</p>
+<ul>${productList(active)}</ul>
+<form method="post" action="${escapeHtml(action)}">
+<button type="submit" style="padding: 10px 20px; font-size: 15px; background: #111827; color: #fff; border: none; border-radius: 6px; cursor: pointer;">Unsubscribe</button>
+</form>`);
+}
+
+export async function POST(request) {
+  const ids = verifyUnsubscribeParams(request.nextUrl.searchParams);
+  if (!ids) return invalidLink();
+
+  try {
+    const active = (await listEntries({ statuses: ['waiting', 'alerted'] })).filter(e => ids.includes(e.id));
+    const cancelled = await setStatus(active.map(e => e.id), 'cancelled', {
+      cancelledAt: new Date().toISOString(),
+      cancelledBy: 'customer',
+    });
+
+    console.log(`Unsubscribe: cancelled ${cancelled} waitlist entries (${ids.join(', ')})`);
+    return page("You've been unsubscribed", "<p>You won't get any more back-in-stock emails for this product.</p>");
+
+  } catch (error) {
+    console.error('Unsubscribe error:', error);
+    return page('Something went wrong', '<p>Please try again in a minute.</p>', 500);
+  }
+}
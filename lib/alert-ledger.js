@@ -0,0 +1,140 @@
+import crypto from 'crypto';
+import { readCollection, updateCollection } from './store';
+
+/**
+ * ALERT LEDGER
+ *
+ * Durable record of every "Back In Stock Alert" we send, keyed by
+ * subscriber, product/variant and restock. Used to:
+ * - skip subscribers already alerted for the same variant within ALERT_DEDUPE_WINDOW_HOURS
+ * - ignore replayed webhook requests (same idempotency key) within IDEMPOTENCY_TTL_HOURS,
+ *   or IDEMPOTENCY_HASH_TTL_MINUTES for keys that are only a hash of the body - an
+ *   identical body can be a genuine second restock, so a hash only stands in for
+ *   "same request" during Flow's retry window
+ */
+
+const ALERTS = 'alerts';
+const REQUESTS = 'webhook-requests';
+
+const IDEMPOTENCY_HEADER = 'x-idempotency-key';
+const SHOPIFY_WEBHOOK_ID_HEADER = 'x-shopify-webhook-id';
+
+const DEFAULT_DEDUPE_WINDOW_HOURS = 72;
+const DEFAULT_IDEMPOTENCY_TTL_HOURS = 24;
+const DEFAULT_HASH_TTL_MINUTES = 10;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function numberFromEnv(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+export function getDedupeWindowMs() {
+  return numberFromEnv('ALERT_DEDUPE_WINDOW_HOURS', DEFAULT_DEDUPE_WINDOW_HOURS) * HOUR_MS;
+}
+
+// How long a claimed key blocks a replay: body-hash keys only cover retries
+function getIdempotencyTtlMs(key) {
+  if (key.startsWith('sha256:')) {
+    return numberFromEnv('IDEMPOTENCY_HASH_TTL_MINUTES', DEFAULT_HASH_TTL_MINUTES) * 60 * 1000;
+  }
+  return numberFromEnv('IDEMPOTENCY_TTL_HOURS', DEFAULT_IDEMPOTENCY_TTL_HOURS) * HOUR_MS;
+}
+
+const normalizeId = (id) => (id ? String(id).replace(/gid:\/\/shopify\/\w+\//g, '') : null);
+
+// Idempotency key for a webhook call: Flow can send X-Idempotency-Key, native
+// Shopify webhooks carry X-Shopify-Webhook-Id (the same on every retry);
+// otherwise fall back to a hash of the raw payload
+export function getIdempotencyKey(request, rawBody) {
+  const header = request.headers.get(IDEMPOTENCY_HEADER);
+  if (header) return `header:${header}`;
+  const webhookId = request.headers.get(SHOPIFY_WEBHOOK_ID_HEADER);
+  if (webhookId) return `shopify:${webhookId}`;
+  return `sha256:${crypto.createHash('sha256').update(rawBody, 'utf8').digest('hex')}`;
+}
+
+// Claim an idempotency key before processing a webhook.
+// Returns false if the same key was already claimed within its TTL (a replay).
+export async function claimRequest(key) {
+  const now = Date.now();
+
+  return updateCollection(REQUESTS, (requests) => {
+    const live = requests.filter(r => now - new Date(r.claimedAt).getTime() < getIdempotencyTtlMs(r.key));
+    if (live.some(r => r.key === key)) {
+      return { data: live, result: false };
+    }
+    live.push({ key, claimedAt: new Date(now).toISOString() });
+    return { data: live, result: true };
+  });
+}
+
+// Release a claim so a retry can proceed (used when processing failed part-way)
+export async function releaseRequest(key) {
+  return updateCollection(REQUESTS, (requests) => ({
+    data: requests.filter(r => r.key !== key),
+    result: undefined,
+  }));
+}
+
+// Whether a ledger entry covers this product/variant
+export function sameTarget(entry, productId, variantId) {
+  if (normalizeId(entry.productId) !== normalizeId(productId)) return false;
+  // Product-level alerts (no variant) cover every variant of the product
+  if (!entry.variantId || !variantId) return true;
+  return normalizeId(entry.variantId) === normalizeId(variantId);
+}
+
+// Emails (lowercased) already alerted for this product/variant within the dedupe window
+export async function getRecentlyAlerted(productId, variantId, windowMs = getDedupeWindowMs()) {
+  const now = Date.now();
+  const alerts = await readCollection(ALERTS);
+  const emails = new Set();
+
+  for (const entry of alerts) {
+    if (now - new Date(entry.sentAt).getTime() >= windowMs) continue;
+    if (sameTarget(entry, productId, variantId)) emails.add(entry.email);
+  }
+
+  return emails;
+}
+
+// Append a sent alert to the ledger.
+// trigger: 'webhook', 'wave', 'manual' (dashboard send), 'resend' (single row) or
+// 'reconcile' (missed restock found by lib/reconcile.js);
+// triggeredBy: the staff member behind a manual send/resend
+export async function recordAlert({
+  email,
+  profileId,
+  productId,
+  variantId,
+  restockId,
+  wave = null,
+  trigger = 'webhook',
+  triggeredBy = null,
+}) {
+  const entry = {
+    email: email.toLowerCase(),
+    profileId: profileId || null,
+    productId: normalizeId(productId),
+    variantId: normalizeId(variantId),
+    restockId: restockId || null,
+    wave,
+    trigger,
+    triggeredBy,
+    sentAt: new Date().toISOString(),
+  };
+
+  await updateCollection(ALERTS, (alerts) => ({
+    data: [...alerts, entry],
+    result: undefined,
+  }));
+
+  return entry;
+}
+
+// All ledger entries (newest last)
+export async function listAlerts() {
+  return readCollection(ALERTS);
+}
@@ -0,0 +1,189 @@
+import crypto from 'crypto';
+import { readCollection, updateCollection } from './store';
+import { sendAlerts, getCurrentInventory, findOrdered } from './restock';
+import { listActiveEntries, setStatus } from './waitlist';
+
+/**
+ * ALERT WAVES
+ *
+ * Optional allocation mode (ALLOCATION_MODE=waves): instead of emailing every
+ * subscriber when stock comes back, alert them first-come-first-served in waves
+ * sized to a multiple of the available inventory. Whoever is left is queued and
+ * the next wave goes out after ALLOCATION_WAVE_DELAY_MINUTES - but only if the
+ * item is still in stock by then. Due waves are sent by the /api/alert-waves cron.
+ */
+
+const WAVES = 'alert-waves';
+
+// A wave left 'processing' this long (the cron run died mid-way) is claimed again -
+// the alert ledger stops anyone already sent from being emailed twice
+const STALE_PROCESSING_MS = 15 * 60 * 1000;
+
+const DEFAULT_MULTIPLIER = 2;
+const DEFAULT_DELAY_MINUTES = 60;
+
+export function getAllocationConfig() {
+  const multiplier = parseFloat(process.env.ALLOCATION_MULTIPLIER);
+  const delay = parseFloat(process.env.ALLOCATION_WAVE_DELAY_MINUTES);
+
+  return {
+    enabled: process.env.ALLOCATION_MODE === 'waves',
+    multiplier: Number.isFinite(multiplier) && multiplier > 0 ? multiplier : DEFAULT_MULTIPLIER,
+    delayMinutes: Number.isFinite(delay) && delay >= 0 ? delay : DEFAULT_DELAY_MINUTES,
+  };
+}
+
+// Split subscribers into the wave to alert now and the rest, in signup order.
+// Subscribers with no known signup date go to the back of the line.
+export function planWave(subscribers, inventory, multiplier) {
+  const ordered = [...subscribers].sort((a, b) => {
+    const aTime = a.signupDate ? new Date(a.signupDate).getTime() : Infinity;
+    const bTime = b.signupDate ? new Date(b.signupDate).getTime() : Infinity;
+    return aTime - bTime;
+  });
+
+  const size = Math.max(1, Math.ceil(inventory * multiplier));
+  return { now: ordered.slice(0, size), later: ordered.slice(size) };
+}
+
+// Queue the remaining subscribers for a later wave. `key` names what queued it (a restock
+// job's or a wave's ID plus the wave number): a retry that queues the same key again gets
+// the wave already queued back instead of a second copy.
+export async function queueWave({ key, product, variantId, restockId, wave, subscribers }) {
+  const { delayMinutes } = getAllocationConfig();
+  const entry = {
+    id: crypto.randomUUID(),
+    key,
+    product,
+    variantId: variantId || null,
+    restockId,
+    wave,
+    status: 'pending',
+    dueAt: new Date(Date.now() + delayMinutes * 60 * 1000).toISOString(),
+    createdAt: new Date().toISOString(),
+    subscribers: subscribers.map(s => ({
+      profileId: s.profileId,
+      email: s.email,
+      signupDate: s.signupDate || null,
+      entryIds: s.entryIds || [],
+    })),
+  };
+
+  const existing = await updateCollection(WAVES, (waves) => {
+    const queued = key && waves.find(w => w.key === key);
+    return queued ? { data: waves, result: queued } : { data: [...waves, entry], result: null };
+  });
+  if (existing) {
+    console.log(`Wave ${wave} of product ${product.id} already queued (${key})`);
+    return existing;
+  }
+
+  console.log(`Queued ${subscribers.length} subscribers for wave ${wave} of product ${product.id}, due ${entry.dueAt}`);
+  return entry;
+}
+
+// Mark a wave finished with a final status and optional details
+async function finishWave(id, status, details = {}) {
+  await updateCollection(WAVES, (waves) => ({
+    data: waves.map(w => (w.id === id
+      ? { ...w, ...details, status, processedAt: new Date().toISOString() }
+      : w)),
+    result: undefined,
+  }));
+}
+
+// Send one due wave. Returns a summary for the cron response.
+async function processWave(entry) {
+  const { multiplier } = getAllocationConfig();
+  const inventory = await getCurrentInventory(entry.product.id, entry.variantId);
+
+  if (inventory === null) {
+    await finishWave(entry.id, 'stopped', { stopReason: 'Product not found' });
+    return { id: entry.id, wave: entry.wave, status: 'stopped', remaining: entry.subscribers.length };
+  }
+
+  if (inventory <= 0) {
+    await finishWave(entry.id, 'stopped', { stopReason: 'Out of stock' });
+    return { id: entry.id, wave: entry.wave, status: 'stopped', remaining: entry.subscribers.length };
+  }
+
+  // Drop anyone who left the waitlist (unsubscribed, removed, ordered) since the wave was queued.
+  // Waves queued before entry IDs were recorded are sent as they are.
+  const activeIds = new Set((await listActiveEntries()).map(e => e.id));
+  const active = entry.subscribers
+    .filter(s => !s.entryIds?.length || s.entryIds.some(id => activeIds.has(id)))
+    .map(s => ({ ...s, entryIds: s.entryIds?.filter(id => activeIds.has(id)) }));
+
+  // ...and anyone who has bought it since
+  const ordered = await findOrdered(active, entry.product.id);
+  const buyers = active.filter(s => ordered.has(s.email));
+  if (buyers.length > 0) {
+    await setStatus(buyers.flatMap(s => s.entryIds || []), 'ordered', { orderedAt: new Date().toISOString() });
+  }
+  const subscribers = active.filter(s => !ordered.has(s.email));
+
+  const { now, later } = planWave(subscribers, inventory, multiplier);
+  const product = { ...entry.product, inventory };
+  const result = await sendAlerts(now, product, {
+    variantId: entry.variantId,
+    restockId: entry.restockId,
+    sendId: entry.id,
+    wave: entry.wave,
+    trigger: 'wave',
+  });
+
+  if (later.length > 0) {
+    await queueWave({
+      key: `${entry.id}:${entry.wave + 1}`,
+      product: entry.product,
+      variantId: entry.variantId,
+      restockId: entry.restockId,
+      wave: entry.wave + 1,
+      subscribers: later,
+    });
+  }
+
+  const failures = result.results.filter(r => r.status === 'failed');
+  await finishWave(entry.id, 'sent', { counts: result.counts, failures });
+  return { id: entry.id, wave: entry.wave, status: 'sent', counts: result.counts, failures, queued: later.length };
+}
+
+// Send every wave whose delay has elapsed, and any stalled mid-send
+export async function processDueWaves() {
+  const now = Date.now();
+
+  // Claim due (or stalled) waves first so overlapping cron runs don't send the same wave twice
+  const due = await updateCollection(WAVES, (waves) => {
+    const claimed = [];
+    const data = waves.map(w => {
+      const isDue = w.status === 'pending' && new Date(w.dueAt).getTime() <= now;
+      const isStale = w.status === 'processing' &&
+        now - new Date(w.claimedAt || w.dueAt).getTime() >= STALE_PROCESSING_MS;
+      if (isDue || isStale) {
+        claimed.push(w);
+        return { ...w, status: 'processing', claimedAt: new Date(now).toISOString() };
+      }
+      return w;
+    });
+    return { data, result: claimed };
+  });
+
+  const results = [];
+  for (const entry of due) {
+    try {
+      results.push(await processWave(entry));
+    } catch (error) {
+      // Shopify/Klaviyo unavailable or rate limited - put it back and try on the next run
+      console.error(`Error processing wave ${entry.id}:`, error);
+      await finishWave(entry.id, 'pending');
+      results.push({ id: entry.id, wave: entry.wave, status: 'retry', reason: error.message });
+    }
+  }
+
+  return results;
+}
+
+// All waves (any status)
+export async function listWaves() {
+  return readCollection(WAVES);
+}
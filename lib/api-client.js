@@ -0,0 +1,182 @@
+/**
+ * API CLIENT
+ *
+ * fetch() wrapper shared by the Klaviyo and Shopify clients:
+ * - per-attempt timeout
+ * - retries with exponential backoff on 429, 5xx, network errors and timeouts
+ * - a POST is only retried when it can't have been acted on (429, or the connection was
+ *   never made) unless the caller marks it `idempotent` - a timed-out alert event may
+ *   still have been accepted, and sending it again emails the customer twice
+ * - honours Retry-After and Shopify's X-Shopify-Shop-Api-Call-Limit header
+ * - raises typed errors so callers can tell "rate limited" apart from "no data"
+ */
+
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_TIMEOUT_MS = 15000;
+const BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 30000;
+
+// Shopify's REST bucket leaks 2 calls/second; start slowing down with this many calls left
+const SHOPIFY_BUCKET_HEADROOM = 5;
+const SHOPIFY_LEAK_PER_SECOND = 2;
+
+// Non-2xx response from an upstream API (after retries, if the status was retryable)
+export class ApiError extends Error {
+  constructor(message, { service, status = null, url = null, body = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.service = service;
+    this.status = status;
+    this.url = url;
+    this.body = body;
+  }
+}
+
+// Still rate limited (429) after every retry
+export class RateLimitError extends ApiError {
+  constructor(message, { retryAfterMs = null, ...rest } = {}) {
+    super(message, { status: 429, ...rest });
+    this.name = 'RateLimitError';
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// Every attempt timed out or failed at the network level
+export class TimeoutError extends ApiError {
+  constructor(message, rest = {}) {
+    super(message, rest);
+    this.name = 'TimeoutError';
+  }
+}
+
+// Required credentials are missing from the environment
+export class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigError';
+  }
+}
+
+function intFromEnv(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Retry-After may be a number of seconds or an HTTP date
+function parseRetryAfter(header) {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(header);
+  return Number.isFinite(date) ? Math.max(0, date - Date.now()) : null;
+}
+
+function backoffDelay(attempt) {
+  const exponential = BASE_DELAY_MS * 2 ** attempt;
+  const jitter = Math.random() * BASE_DELAY_MS;
+  return Math.min(MAX_DELAY_MS, exponential + jitter);
+}
+
+// Pause long enough for Shopify's leaky bucket to drain when we're close to the limit
+async function respectShopifyCallLimit(res) {
+  const header = res.headers.get('x-shopify-shop-api-call-limit');
+  if (!header) return;
+
+  const [used, limit] = header.split('/').map(Number);
+  if (!Number.isFinite(used) || !Number.isFinite(limit)) return;
+
+  const over = used - (limit - SHOPIFY_BUCKET_HEADROOM);
+  if (over > 0) {
+    await sleep((over / SHOPIFY_LEAK_PER_SECOND) * 1000);
+  }
+}
+
+const isRetryableStatus = (status) => status === 429 || status >= 500;
+
+// Sending these twice leaves the server in the same state
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+// fetch() failures where the request never reached the server
+const NOT_SENT_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH', 'UND_ERR_CONNECT_TIMEOUT'];
+const neverSent = (error) => NOT_SENT_CODES.includes(error.cause?.code || error.code);
+
+// Fetch with timeout + retries. Resolves with the Response for any 2xx status
+// (or a non-retryable status listed in `allowStatuses`); throws a typed error otherwise.
+// `idempotent` (default: true for GET/HEAD/OPTIONS/PUT/DELETE) allows retrying after a
+// timeout or 5xx; pass it for POSTs that are safe to repeat, e.g. read-only queries or
+// events carrying a unique_id.
+export async function requestWithRetry(url, init = {}, options = {}) {
+  const {
+    service = 'api',
+    retries = intFromEnv('API_MAX_RETRIES', DEFAULT_MAX_RETRIES),
+    timeoutMs = intFromEnv('API_TIMEOUT_MS', DEFAULT_TIMEOUT_MS),
+    allowStatuses = [],
+    idempotent = IDEMPOTENT_METHODS.includes((init.method || 'GET').toUpperCase()),
+  } = options;
+
+  let lastError = null;
+
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+    let res;
+    try {
+      res = await fetch(url, { ...init, signal: controller.signal });
+    } catch (error) {
+      const timedOut = error.name === 'AbortError';
+      lastError = new TimeoutError(
+        timedOut
+          ? `${service} request timed out after ${timeoutMs}ms`
+          : `${service} request failed: ${error.message}`,
+        { service, url }
+      );
+      if (!idempotent && !neverSent(error)) throw lastError;
+      if (attempt < retries) await sleep(backoffDelay(attempt));
+      continue;
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (res.ok || allowStatuses.includes(res.status)) {
+      if (service === 'shopify') await respectShopifyCallLimit(res);
+      return res;
+    }
+
+    const body = await res.text().catch(() => '');
+
+    if (!isRetryableStatus(res.status) || (!idempotent && res.status !== 429)) {
+      throw new ApiError(`${service} API error: ${res.status}`, { service, status: res.status, url, body });
+    }
+
+    const retryAfterMs = parseRetryAfter(res.headers.get('retry-after'));
+    lastError = res.status === 429
+      ? new RateLimitError(`${service} API rate limited`, { service, url, body, retryAfterMs })
+      : new ApiError(`${service} API error: ${res.status}`, { service, status: res.status, url, body });
+
+    if (attempt < retries) {
+      const delay = retryAfterMs !== null ? Math.min(MAX_DELAY_MS, retryAfterMs) : backoffDelay(attempt);
+      console.log(`${service} ${res.status}, retrying in ${Math.round(delay)}ms (attempt ${attempt + 1}/${retries})`);
+      await sleep(delay);
+    }
+  }
+
+  throw lastError;
+}
+
+// Short human-readable description of an upstream failure, for API responses and warnings
+export function describeApiError(error) {
+  if (error instanceof RateLimitError) return `${error.service} rate limited`;
+  if (error instanceof TimeoutError) return `${error.service} timed out`;
+  if (error instanceof ApiError) return `${error.service} error ${error.status}`;
+  return error.message;
+}
+
+// HTTP status to answer with when an upstream call failed
+export function statusForApiError(error) {
+  if (error instanceof RateLimitError || error instanceof TimeoutError) return 503;
+  if (error instanceof ApiError) return 502;
+  return 500;
+}
@@ -0,0 +1,25 @@
+/**
+ * CSV
+ *
+ * Minimal CSV writer for dashboard exports. Values are quoted when needed,
+ * and anything a spreadsheet would run as a formula (leading = + - @) is
+ * prefixed with an apostrophe - customer-entered fields end up in Excel.
+ */
+
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function escapeCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// columns: [[header, row => value], ...]. Returns the CSV text (CRLF line endings).
+export function toCsv(columns, rows) {
+  const lines = [columns.map(([header]) => escapeCell(header)).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(([, get]) => escapeCell(get(row))).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
@@ -0,0 +1,68 @@
+/**
+ * DEMAND
+ *
+ * Groups the subscriber snapshot rows (lib/subscribers.js) by product and
+ * variant, for the dashboard's demand view and purchasing decisions. Signups
+ * without a variant (older form versions) form their own "any variant" group.
+ *
+ * For each group:
+ *   waiting, alerted, ordered   rows in each waitlist status (cancelled rows are skipped)
+ *   total                       waiting + alerted + ordered
+ *   conversionRate              ordered / total, or null with no signups
+ *   inventory                   the variant's current inventory (product total for "any variant")
+ *   oldestSignup                earliest signup date still in the group
+ */
+
+const COUNTED_STATUSES = ['waiting', 'alerted', 'ordered'];
+
+function groupKey(row) {
+  return `${row.productId}:${row.variantId || ''}`;
+}
+
+// Aggregate rows into demand groups, most waiting first
+export function buildDemand(rows) {
+  const groups = new Map();
+
+  for (const row of rows) {
+    if (!row.productId || !COUNTED_STATUSES.includes(row.status)) continue;
+
+    const key = groupKey(row);
+    if (!groups.has(key)) {
+      groups.set(key, {
+        key,
+        productId: row.productId,
+        variantId: row.variantId || null,
+        productTitle: row.productTitle || `Product ${row.productId}`,
+        productUrl: row.productUrl || null,
+        sku: row.variantId ? row.sku : null,
+        inventory: null,
+        waiting: 0,
+        alerted: 0,
+        ordered: 0,
+        total: 0,
+        conversionRate: null,
+        oldestSignup: null,
+      });
+    }
+
+    const group = groups.get(key);
+    group[row.status]++;
+    group.total++;
+
+    const inventory = row.variantId ? row.variantInventory : row.inventory;
+    if (group.inventory === null && inventory !== null && inventory !== undefined) {
+      group.inventory = inventory;
+    }
+
+    if (row.signupDate && (!group.oldestSignup || new Date(row.signupDate) < new Date(group.oldestSignup))) {
+      group.oldestSignup = row.signupDate;
+    }
+  }
+
+  return [...groups.values()]
+    .map(group => ({
+      ...group,
+      conversionRate: group.total > 0 ? group.ordered / group.total : null,
+    }))
+    .sort((a, b) => b.waiting - a.waiting || b.total - a.total);
+}
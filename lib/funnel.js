@@ -0,0 +1,105 @@
+/**
+ * FUNNEL REPORT
+ *
+ * Signup -> alerted -> ordered reporting over the subscriber snapshot rows
+ * (lib/subscribers.js), overall, by product and by signup week.
+ *
+ * Orders are split at the subscriber's first alert: an order placed before it
+ * (or with no alert yet) is counted as `orderedBeforeAlert`, not as a conversion
+ * from the alert. Revenue is the matching order line items only, in the shop's
+ * currency. Cancelled signups are left out.
+ *
+ * For each group:
+ *   signups, alerted, ordered, orderedBeforeAlert, orderedAfterAlert
+ *   unknownOrderStatus       rows whose orders couldn't be checked
+ *   alertRate                alerted / signups
+ *   conversionRate           ordered (at any time) / signups
+ *   alertConversionRate      orderedAfterAlert / alerted
+ *   medianHoursToPurchase    from first alert to first order after it
+ *   revenueBeforeAlert, revenueAfterAlert, currency
+ */
+
+const ratio = (part, whole) => (whole > 0 ? part / whole : null);
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Monday (UTC) of the week a date falls in, as YYYY-MM-DD
+export function weekStart(dateStr) {
+  const date = new Date(dateStr);
+  if (Number.isNaN(date.getTime())) return null;
+  const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+  date.setUTCDate(date.getUTCDate() - daysSinceMonday);
+  return date.toISOString().slice(0, 10);
+}
+
+function summarize(rows) {
+  const stats = {
+    signups: rows.length,
+    alerted: 0,
+    ordered: 0,
+    orderedBeforeAlert: 0,
+    orderedAfterAlert: 0,
+    unknownOrderStatus: 0,
+    revenueBeforeAlert: 0,
+    revenueAfterAlert: 0,
+    currency: null,
+  };
+  const hoursToPurchase = [];
+
+  for (const row of rows) {
+    if (row.alertSent) stats.alerted++;
+    if (row.ordered === true) stats.ordered++;
+    if (row.ordered === null || row.ordered === undefined) stats.unknownOrderStatus++;
+    if (row.orderTiming === 'before_alert') stats.orderedBeforeAlert++;
+    if (row.orderTiming === 'after_alert') stats.orderedAfterAlert++;
+    if (row.hoursToPurchase !== null && row.hoursToPurchase !== undefined) hoursToPurchase.push(row.hoursToPurchase);
+
+    stats.revenueBeforeAlert += row.revenueBeforeAlert || 0;
+    stats.revenueAfterAlert += row.revenueAfterAlert || 0;
+    stats.currency = stats.currency || row.currency || null;
+  }
+
+  return {
+    ...stats,
+    revenueBeforeAlert: Math.round(stats.revenueBeforeAlert * 100) / 100,
+    revenueAfterAlert: Math.round(stats.revenueAfterAlert * 100) / 100,
+    alertRate: ratio(stats.alerted, stats.signups),
+    conversionRate: ratio(stats.ordered, stats.signups),
+    alertConversionRate: ratio(stats.orderedAfterAlert, stats.alerted),
+    medianHoursToPurchase: median(hoursToPurchase),
+  };
+}
+
+function groupBy(rows, keyOf) {
+  const groups = new Map();
+  for (const row of rows) {
+    const key = keyOf(row);
+    if (key === null || key === undefined) continue;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  }
+  return groups;
+}
+
+// Build the report. Returns { totals, byProduct, byWeek } - byProduct sorted by
+// signups (most first), byWeek by week (newest first).
+export function buildFunnelReport(rows) {
+  const counted = rows.filter(row => row.status !== 'cancelled');
+
+  const byProduct = [...groupBy(counted, row => row.productId)].map(([productId, group]) => ({
+    productId,
+    productTitle: group.find(row => row.productTitle)?.productTitle || `Product ${productId}`,
+    ...summarize(group),
+  })).sort((a, b) => b.signups - a.signups);
+
+  const byWeek = [...groupBy(counted, row => (row.signupDate ? weekStart(row.signupDate) : null))]
+    .map(([week, group]) => ({ week, ...summarize(group) }))
+    .sort((a, b) => (a.week < b.week ? 1 : -1));
+
+  return { totals: summarize(counted), byProduct, byWeek };
+}
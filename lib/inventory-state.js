@@ -0,0 +1,55 @@
+import { readCollection, updateCollection } from './store';
+import { toNumericId } from './shopify';
+
+/**
+ * INVENTORY STATE
+ *
+ * Last known available quantity per variant, so native Shopify
+ * inventory_levels/update webhooks (which only carry the new level) can
+ * tell a 0 -> positive restock apart from any other stock change.
+ */
+
+const INVENTORY_STATE = 'inventory-state';
+
+// Record a variant's current quantity and return what it was before.
+// `previous` is null the first time we see a variant; `replaced` is the record it
+// overwrote (for restoreVariantQuantity). Updates older than the
+// one already recorded (Shopify doesn't guarantee delivery order) are ignored
+// and reported with `stale: true`.
+export async function recordVariantQuantity(variantId, quantity, updatedAt = new Date().toISOString()) {
+  const key = toNumericId(variantId);
+
+  return updateCollection(INVENTORY_STATE, (state) => {
+    const current = state[key];
+
+    if (current && current.updatedAt && new Date(updatedAt) < new Date(current.updatedAt)) {
+      return { data: state, result: { previous: current.quantity, stale: true } };
+    }
+
+    state[key] = { quantity, updatedAt };
+    return { data: state, result: { previous: current ? current.quantity : null, stale: false, replaced: current || null } };
+  }, {});
+}
+
+// Undo recordVariantQuantity when the restock it detected couldn't be queued, so
+// Shopify's retry of the same webhook still sees 0 -> positive. `replaced` is what
+// recordVariantQuantity returned; an update recorded since then is left alone.
+export async function restoreVariantQuantity(variantId, quantity, updatedAt, replaced) {
+  const key = toNumericId(variantId);
+
+  await updateCollection(INVENTORY_STATE, (state) => {
+    const current = state[key];
+    if (!current || current.quantity !== quantity || current.updatedAt !== updatedAt) {
+      return { data: state, result: null };
+    }
+
+    if (replaced) state[key] = replaced;
+    else delete state[key];
+    return { data: state, result: null };
+  }, {});
+}
+
+// Last known quantities, keyed by numeric variant ID
+export async function getInventoryState() {
+  return readCollection(INVENTORY_STATE, {});
+}
@@ -0,0 +1,212 @@
+import { requestWithRetry, ConfigError } from './api-client';
+
+/**
+ * KLAVIYO CLIENT
+ *
+ * Shared Klaviyo API access for the webhook and dashboard. Requests go through
+ * requestWithRetry (retries, Retry-After, timeouts, typed errors).
+ *
+ * Klaviyo list endpoints are cursor-paginated: each response carries a
+ * `links.next` URL until the data runs out. fetchAllPages follows that chain
+ * so callers always see the whole result set, not just the first page.
+ */
+
+export const KLAVIYO_API = 'https://a.klaviyo.com/api';
+export const KLAVIYO_REVISION = '2024-02-15';
+// Bulk event creation only exists from this revision on
+const KLAVIYO_BULK_EVENTS_REVISION = '2024-10-15';
+
+// Most profile IDs one any() filter takes (also Klaviyo's max page size)
+const PROFILE_FILTER_CHUNK = 100;
+
+// Safety cap so a runaway cursor can't loop forever (override with KLAVIYO_MAX_PAGES)
+const DEFAULT_MAX_PAGES = 50;
+
+export function getMaxPages() {
+  const configured = parseInt(process.env.KLAVIYO_MAX_PAGES, 10);
+  return Number.isFinite(configured) && configured > 0 ? configured : DEFAULT_MAX_PAGES;
+}
+
+export function klaviyoHeaders() {
+  const key = process.env.KLAVIYO_PRIVATE_API_KEY;
+  if (!key) throw new ConfigError('KLAVIYO_PRIVATE_API_KEY not set');
+  return {
+    'Authorization': `Klaviyo-API-Key ${key}`,
+    'Accept': 'application/json',
+    'Content-Type': 'application/json',
+    'revision': KLAVIYO_REVISION,
+  };
+}
+
+// Call a Klaviyo endpoint (path relative to KLAVIYO_API, or a full URL from links.next).
+// Returns parsed JSON, or null for empty responses. Throws ApiError/RateLimitError/TimeoutError.
+export async function klaviyoRequest(pathOrUrl, init = {}, options = {}) {
+  const url = pathOrUrl.startsWith('http') ? pathOrUrl : `${KLAVIYO_API}${pathOrUrl}`;
+  const res = await requestWithRetry(
+    url,
+    { cache: 'no-store', ...init, headers: { ...klaviyoHeaders(), ...init.headers } },
+    { service: 'klaviyo', ...options }
+  );
+
+  if (res.status === 202 || res.status === 204) return null;
+  const text = await res.text();
+  return text ? JSON.parse(text) : null;
+}
+
+// Fetch every page of a Klaviyo collection endpoint.
+// Returns { data, included, truncated } - `included` collects sideloaded resources
+// (e.g. `include=profile`), and `truncated` is true if the page cap was hit before
+// `links.next` ran out, so callers can surface that instead of silently dropping rows.
+export async function fetchAllPages(pathOrUrl, { maxPages = getMaxPages() } = {}) {
+  const data = [];
+  const included = [];
+  let nextUrl = pathOrUrl;
+  let pages = 0;
+
+  while (nextUrl) {
+    if (pages >= maxPages) {
+      console.warn(`Klaviyo pagination stopped at ${maxPages} pages for ${pathOrUrl} - results truncated`);
+      return { data, included, truncated: true };
+    }
+
+    const json = await klaviyoRequest(nextUrl);
+    data.push(...(json?.data || []));
+    included.push(...(json?.included || []));
+    nextUrl = json?.links?.next || null;
+    pages++;
+  }
+
+  return { data, included, truncated: false };
+}
+
+// Look up metric IDs by name (case-insensitive). Returns { [name]: id | null }
+export async function getMetricIdsByName(names) {
+  const { data: metrics } = await fetchAllPages('/metrics/');
+  const result = {};
+  for (const name of names) {
+    result[name] = metrics.find(m =>
+      m.attributes?.name?.toLowerCase() === name.toLowerCase()
+    )?.id || null;
+  }
+  return result;
+}
+
+// Create an event for a profile (identified by email). The metric is created
+// on first use. Klaviyo responds 202 with no body.
+export async function createEvent(metricName, email, properties) {
+  await klaviyoRequest('/events/', {
+    method: 'POST',
+    body: JSON.stringify({
+      data: {
+        type: 'event',
+        attributes: {
+          metric: { data: { type: 'metric', attributes: { name: metricName } } },
+          profile: { data: { type: 'profile', attributes: { email } } },
+          properties,
+        },
+      },
+    }),
+  });
+}
+
+// Create events for many profiles in one request. `events` is
+// [{ profile: { id?, email }, properties, uniqueId }]; a profile is identified by its Klaviyo ID
+// when given, otherwise by email. At most 1000 events per call. Klaviyo accepts
+// the whole batch (202) or rejects it - a 400 means at least one event was invalid.
+// Klaviyo drops an event whose unique_id it already has, so a batch that may or may not
+// have gone through can be sent again; `options` go to requestWithRetry.
+export async function createEventsBulk(metricName, events, options = {}) {
+  const time = new Date().toISOString();
+  await klaviyoRequest('/event-bulk-create-jobs/', {
+    method: 'POST',
+    headers: { revision: KLAVIYO_BULK_EVENTS_REVISION },
+    body: JSON.stringify({
+      data: {
+        type: 'event-bulk-create-job',
+        attributes: {
+          'events-bulk-create': {
+            data: events.map(({ profile, properties, uniqueId }) => ({
+              type: 'event-bulk-create',
+              attributes: {
+                profile: {
+                  data: {
+                    type: 'profile',
+                    ...(profile.id ? { id: profile.id } : {}),
+                    attributes: { email: profile.email },
+                  },
+                },
+                events: {
+                  data: [{
+                    type: 'event',
+                    attributes: {
+                      metric: { data: { type: 'metric', attributes: { name: metricName } } },
+                      properties,
+                      time,
+                      unique_id: uniqueId,
+                    },
+                  }],
+                },
+              },
+            })),
+          },
+        },
+      },
+    }),
+  }, { idempotent: true, ...options });
+}
+
+// Look up many profiles by Klaviyo ID, PROFILE_FILTER_CHUNK per request.
+// Returns Map(id -> { email }); IDs Klaviyo doesn't know (deleted or merged) are absent.
+export async function getProfilesByIds(ids) {
+  const unique = [...new Set(ids.filter(Boolean))];
+  const profiles = new Map();
+
+  for (let i = 0; i < unique.length; i += PROFILE_FILTER_CHUNK) {
+    const chunk = unique.slice(i, i + PROFILE_FILTER_CHUNK);
+    const filter = encodeURIComponent(`any(id,[${chunk.map(id => `"${id}"`).join(',')}])`);
+    const { data } = await fetchAllPages(
+      `/profiles/?filter=${filter}&fields[profile]=email&page[size]=${PROFILE_FILTER_CHUNK}`
+    );
+    for (const profile of data) {
+      profiles.set(profile.id, { email: profile.attributes?.email || null });
+    }
+  }
+
+  return profiles;
+}
+
+// Subscribe an email to a list for email marketing. Respects the list's
+// double opt-in setting, same as the old client-side form did.
+export async function subscribeToList(email, listId, customSource) {
+  await klaviyoRequest('/profile-subscription-bulk-create-jobs/', {
+    method: 'POST',
+    body: JSON.stringify({
+      data: {
+        type: 'profile-subscription-bulk-create-job',
+        attributes: {
+          custom_source: customSource,
+          profiles: {
+            data: [{
+              type: 'profile',
+              attributes: {
+                email,
+                subscriptions: { email: { marketing: { consent: 'SUBSCRIBED' } } },
+              },
+            }],
+          },
+        },
+        relationships: {
+          list: { data: { type: 'list', id: listId } },
+        },
+      },
+    }),
+  });
+}
+
+// Klaviyo profile ID for an email, or null if there's no profile yet
+export async function findProfileIdByEmail(email) {
+  const json = await klaviyoRequest(
+    `/profiles/?filter=equals(email,"${encodeURIComponent(email)}")&page[size]=1`
+  );
+  return json?.data?.[0]?.id || null;
+}
@@ -0,0 +1,50 @@
+/**
+ * RATE LIMIT
+ *
+ * Fixed-window in-memory rate limiter for public endpoints. Counts are kept
+ * per serverless instance, so the effective limit across a deploy can be a
+ * small multiple of the configured one - enough to stop form spam, not a
+ * hard quota.
+ */
+
+const windows = new Map();
+
+// Drop expired buckets now and then so the map doesn't grow forever
+const SWEEP_EVERY = 500;
+let callsSinceSweep = 0;
+
+function sweep(now) {
+  for (const [key, bucket] of windows) {
+    if (bucket.resetAt <= now) windows.delete(key);
+  }
+}
+
+// Count a hit against `key`. Returns { allowed, remaining, retryAfterSeconds }
+export function hitRateLimit(key, limit, windowMs) {
+  const now = Date.now();
+
+  if (++callsSinceSweep >= SWEEP_EVERY) {
+    callsSinceSweep = 0;
+    sweep(now);
+  }
+
+  let bucket = windows.get(key);
+  if (!bucket || bucket.resetAt <= now) {
+    bucket = { count: 0, resetAt: now + windowMs };
+    windows.set(key, bucket);
+  }
+
+  bucket.count++;
+  return {
+    allowed: bucket.count <= limit,
+    remaining: Math.max(0, limit - bucket.count),
+    retryAfterSeconds: Math.ceil((bucket.resetAt - now) / 1000),
+  };
+}
+
+// Client IP from the proxy headers Vercel sets
+export function getClientIp(request) {
+  return request.headers.get('x-forwarded-for')?.split(',')[0].trim() ||
+    request.headers.get('x-real-ip') ||
+    'unknown';
+}
@@ -0,0 +1,244 @@
+import crypto from 'crypto';
+import { readCollection, updateCollection } from './store';
+import { getProductsByIds, getShopifyConfig } from './shopify';
+import { listAlerts } from './alert-ledger';
+import { listEntries, setStatus, syncKlaviyoSignups } from './waitlist';
+import { ALERT_STATUSES, findOrdered, getProductById, sendAlerts } from './restock';
+import { getAlertStatuses } from './subscribers';
+import { describeApiError } from './api-client';
+
+/**
+ * RESTOCK RECONCILIATION
+ *
+ * Safety net for restocks the webhook never heard about (Flow turned off,
+ * erroring, or firing before a deploy was healthy). Scans every waiting
+ * waitlist entry against current Shopify inventory and finds the ones whose
+ * variant (or product, for signups without a variant) is in stock but that
+ * were never alerted since they signed up - by any source the dashboard's
+ * Alert Sent column uses (lib/subscribers.js), so signups from before the
+ * alert ledger aren't mistaken for missed. Anyone who has ordered the product
+ * since signing up is left out too.
+ *
+ * mode 'report' only lists them; mode 'send' also sends their alerts, all at
+ * once like a manual send (no waves), recorded with trigger 'reconcile', and
+ * marks the buyers' entries ordered. If Klaviyo's alert history couldn't be
+ * read in full, nothing is sent - the run only reports.
+ * Each run is kept in a run log (the last MAX_RUNS) for the dashboard. Only
+ * one run at a time - a run still marked running blocks another for RUN_TIMEOUT_MS.
+ */
+
+const RUNS = 'reconcile-runs';
+const MAX_RUNS = 50;
+const RUN_TIMEOUT_MS = 15 * 60 * 1000;
+const MAX_EMAILS_PER_GROUP = 50;
+
+export const RECONCILE_MODES = ['report', 'send'];
+
+// Default mode for cron runs: RECONCILE_MODE ('report' unless set to 'send')
+export function getDefaultMode() {
+  return process.env.RECONCILE_MODE === 'send' ? 'send' : 'report';
+}
+
+// Recent runs, newest first
+export async function listRuns() {
+  const runs = await readCollection(RUNS);
+  return [...runs].reverse();
+}
+
+// Start a run unless another is still going. Returns the run, or null if one is in progress.
+async function startRun(mode, triggeredBy) {
+  const now = Date.now();
+
+  return updateCollection(RUNS, (runs) => {
+    const running = runs.some(r => r.status === 'running' &&
+      now - new Date(r.startedAt).getTime() < RUN_TIMEOUT_MS);
+    if (running) return { data: runs, result: null };
+
+    const run = {
+      id: crypto.randomUUID(),
+      mode,
+      triggeredBy: triggeredBy || 'cron',
+      status: 'running',
+      startedAt: new Date(now).toISOString(),
+    };
+    return { data: [...runs, run].slice(-MAX_RUNS), result: run };
+  });
+}
+
+async function finishRun(id, fields) {
+  return updateCollection(RUNS, (runs) => {
+    const run = runs.find(r => r.id === id);
+    if (run) Object.assign(run, fields, { finishedAt: new Date().toISOString() });
+    return { data: runs, result: run || null };
+  });
+}
+
+// Inventory the entry is waiting on: its variant's, or the product total without one
+function inventoryFor(product, variantId) {
+  if (!variantId) return product.inventory;
+  return product.variants.find(v => v.id === variantId)?.inventory ?? null;
+}
+
+// Waiting entries that are in stock but were never alerted, grouped by product/variant.
+// Returns { scanned, inStock, groups: [{ productId, variantId, productTitle, inventory, entries }],
+// ordered, warnings, alertHistoryComplete } - `ordered` are in-stock entries left out because
+// the subscriber bought the product; alertHistoryComplete is false if Klaviyo couldn't be read.
+async function findMissedAlerts() {
+  const warnings = [];
+
+  // Pick up signups that only exist in Klaviyo so far; without them the check still runs
+  try {
+    await syncKlaviyoSignups();
+  } catch (error) {
+    console.warn(`New Klaviyo signups not synced before reconciliation: ${describeApiError(error)}`);
+    warnings.push(`New Klaviyo signups not synced: ${describeApiError(error)}`);
+  }
+
+  const [entries, ledgerAlerts] = await Promise.all([
+    listEntries({ statuses: ['waiting'] }),
+    listAlerts(),
+  ]);
+
+  const productsById = await getProductsByIds(entries.map(e => e.productId));
+  const inStock = entries.filter(entry => {
+    const product = productsById.get(entry.productId);
+    return product && inventoryFor(product, entry.variantId) > 0;
+  });
+
+  // Only in-stock entries are checked, which keeps the per-profile Klaviyo lookups few
+  const alertWarnings = [];
+  const alertStatuses = await getAlertStatuses(inStock, ledgerAlerts, alertWarnings);
+  const groups = new Map();
+
+  for (const entry of inStock) {
+    if (alertStatuses.get(entry.id).alertSent) continue;
+
+    const product = productsById.get(entry.productId);
+    const inventory = inventoryFor(product, entry.variantId);
+
+    const key = `${entry.productId}:${entry.variantId || ''}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        productId: entry.productId,
+        variantId: entry.variantId || null,
+        productTitle: product.title,
+        inventory,
+        entries: [],
+      });
+    }
+    groups.get(key).entries.push(entry);
+  }
+
+  // Buyers weren't missed
+  const ordered = [];
+  for (const group of groups.values()) {
+    const buyers = await findOrdered(toSubscribers(group.entries), group.productId);
+    ordered.push(...group.entries.filter(e => buyers.has(e.email)));
+    group.entries = group.entries.filter(e => !buyers.has(e.email));
+  }
+
+  return {
+    scanned: entries.length,
+    inStock: inStock.length,
+    groups: [...groups.values()].filter(group => group.entries.length > 0),
+    ordered,
+    warnings: [...warnings, ...alertWarnings],
+    alertHistoryComplete: alertWarnings.length === 0,
+  };
+}
+
+// One subscriber per email for sendAlerts, covering all their entries in the group
+function toSubscribers(entries) {
+  const byEmail = new Map();
+  for (const entry of entries) {
+    const sub = byEmail.get(entry.email);
+    if (sub) {
+      sub.entryIds.push(entry.id);
+      sub.profileId = sub.profileId || entry.profileId;
+    } else {
+      byEmail.set(entry.email, {
+        email: entry.email,
+        profileId: entry.profileId,
+        signupDate: entry.signupDate,
+        entryIds: [entry.id],
+      });
+    }
+  }
+  return [...byEmail.values()];
+}
+
+const emptyCounts = () => Object.fromEntries(ALERT_STATUSES.map(status => [status, 0]));
+
+// Send the missed alerts for one group. Returns { counts, failures, error? }
+async function sendGroup(group, runId) {
+  const details = await getProductById(group.productId);
+  if (!details) {
+    return { counts: emptyCounts(), failures: [], error: 'Product not found' };
+  }
+
+  const { counts, results } = await sendAlerts(toSubscribers(group.entries), { ...details, inventory: group.inventory }, {
+    variantId: group.variantId,
+    restockId: `reconcile:${runId}`,
+    sendId: runId,
+    trigger: 'reconcile',
+  });
+  return { counts, failures: results.filter(r => r.status === 'failed') };
+}
+
+// Run a reconciliation. Returns the finished run record, or null if another run
+// is in progress. Throws if Shopify isn't configured.
+export async function runReconciliation({ mode = getDefaultMode(), triggeredBy = null } = {}) {
+  if (!getShopifyConfig()) throw new Error('Shopify is not configured');
+
+  const run = await startRun(mode, triggeredBy);
+  if (!run) return null;
+
+  try {
+    const { scanned, inStock, groups, ordered, warnings, alertHistoryComplete } = await findMissedAlerts();
+    const counts = emptyCounts();
+    const summaries = [];
+    const canSend = mode === 'send' && alertHistoryComplete;
+
+    if (mode === 'send' && !alertHistoryComplete) {
+      warnings.push('No alerts sent: alert history in Klaviyo could not be fully checked');
+    }
+    if (canSend && ordered.length > 0) {
+      await setStatus(ordered.map(e => e.id), 'ordered', { orderedAt: new Date().toISOString() });
+    }
+
+    for (const group of groups) {
+      const summary = {
+        productId: group.productId,
+        variantId: group.variantId,
+        productTitle: group.productTitle,
+        inventory: group.inventory,
+        missed: group.entries.length,
+        emails: group.entries.slice(0, MAX_EMAILS_PER_GROUP).map(e => e.email),
+      };
+
+      if (canSend) {
+        const result = await sendGroup(group, run.id);
+        Object.assign(summary, result);
+        for (const status of ALERT_STATUSES) counts[status] += result.counts[status];
+      }
+      summaries.push(summary);
+    }
+
+    const missed = summaries.reduce((sum, g) => sum + g.missed, 0);
+    console.log(`Reconciliation (${mode}): ${scanned} waiting, ${inStock} in stock, ${missed} never alerted, ${ordered.length} already ordered`);
+
+    return finishRun(run.id, {
+      status: 'ok',
+      scanned,
+      inStock,
+      missed,
+      ordered: ordered.length,
+      ...(canSend ? { counts } : {}),
+      groups: summaries,
+      warnings,
+    });
+  } catch (error) {
+    await finishRun(run.id, { status: 'failed', error: error.message });
+    throw error;
+  }
+}
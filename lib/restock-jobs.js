@@ -0,0 +1,318 @@
+import crypto from 'crypto';
+import { readCollection, updateCollection } from './store';
+import { setStatus } from './waitlist';
+import { getRecentlyAlerted, releaseRequest } from './alert-ledger';
+import { findSubscribers, getMatchMode, getProductById, getProductDetails, getCurrentInventory, sendAlerts } from './restock';
+import { getAllocationConfig, planWave, queueWave } from './alert-waves';
+import { describeApiError } from './api-client';
+import { updateWebhookCall } from './webhook-log';
+
+/**
+ * RESTOCK JOBS
+ *
+ * Queue behind the inventory webhook: the webhook validates a restock, enqueues
+ * a job and answers 202 right away; the job then finds the subscribers and sends
+ * their alerts (in bulk, with bounded concurrency and retries, see sendAlerts in
+ * lib/restock.js). Jobs live in the local store, so the queue works offline.
+ *
+ *   { id, status, restock, restockId, attempts, result, failures, error,
+ *     createdAt, updatedAt, startedAt, finishedAt }
+ *
+ * status: 'queued' -> 'running' -> 'completed' | 'failed'. A job that throws (e.g.
+ * Klaviyo still rate limiting after retries) goes back to 'queued' until it has
+ * been tried MAX_JOB_ATTEMPTS times. A job left 'running' for STALE_RUNNING_MS
+ * (the process died mid-way) is picked up again - the alert ledger stops anyone
+ * already sent from being emailed twice.
+ *
+ * The webhook starts its job in the background straight away; GET /api/jobs/process
+ * (cron) picks up anything queued or stalled, e.g. when the platform froze the
+ * function after responding.
+ *
+ * Each job also fills in its webhook call's audit log record (`logId`, see
+ * lib/webhook-log.js): the resolved product, matched subscribers and every
+ * subscriber's result.
+ */
+
+const JOBS = 'restock-jobs';
+const MAX_JOBS = 200;
+const MAX_JOB_ATTEMPTS = 3;
+const STALE_RUNNING_MS = 15 * 60 * 1000;
+
+const now = () => new Date().toISOString();
+
+// A quantity from a payload or Shopify, or null when it's missing or not a number
+function toQuantity(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const quantity = Number(value);
+  return Number.isFinite(quantity) ? quantity : null;
+}
+
+// Current inventory from Shopify, or null if it can't be found or looked up
+async function lookupInventory(productId, variantId) {
+  try {
+    return toQuantity(await getCurrentInventory(productId, variantId));
+  } catch (error) {
+    console.warn(`Inventory lookup for product ${productId} failed: ${describeApiError(error)}`);
+    return null;
+  }
+}
+
+// Resolve a restock to its product, subscribers and who gets alerted now vs in a later wave.
+// `restock` is { productId, variantId, productTitle, productHandle, productUrl, productImage, inventory }
+// as parsed from the webhook; a restock given only a variant (or a product without
+// its title) is looked up in Shopify.
+// Returns { product: null } if the product can't be found, otherwise
+// { product, variantId, subscribers, ordered, matchCounts, recentlyAlerted, toAlert, later, waves },
+// where `ordered` are subscribers left out because they've bought the product already.
+// In wave mode a restock without a quantity (Flow payloads often leave it out) is sized
+// by Shopify's current inventory; if that is unknown too, everyone is alerted at once
+// and `waves` is false.
+export async function planRestock(restock) {
+  const { variantId } = restock;
+  let productId = restock.productId;
+  const product = {
+    title: restock.productTitle || '',
+    handle: restock.productHandle || '',
+    url: restock.productUrl || '',
+    image: restock.productImage || '',
+    inventory: restock.inventory,
+  };
+
+  // If we only have variant_id, look up the product; with a product_id but no
+  // title (native inventory webhooks), fetch the rest of its details
+  let details = null;
+  if (!productId && variantId) {
+    console.log('Looking up product from variant:', variantId);
+    details = await getProductDetails(variantId);
+  } else if (productId && !product.title) {
+    details = await getProductById(productId);
+  }
+  if (details) {
+    productId = details.id;
+    product.title = product.title || details.title;
+    product.handle = product.handle || details.handle;
+    product.url = product.url || details.url;
+    product.image = product.image || details.image;
+    product.inventory = product.inventory ?? details.inventory;
+  }
+  if (!productId) return { product: null };
+  product.id = productId;
+
+  // Find subscribers for this product
+  const { subscribers, ordered, matchCounts } = await findSubscribers(productId, variantId);
+  console.log(`Found ${subscribers.length} subscribers (variant=${matchCounts.variant}, product=${matchCounts.product})`);
+
+  // Skip anyone already alerted for this product/variant within the dedupe window
+  const recentlyAlerted = await getRecentlyAlerted(productId, variantId);
+  const eligible = subscribers.filter(sub => !recentlyAlerted.has(sub.email));
+
+  // In wave mode, alert the earliest signups now and queue the rest
+  const allocation = getAllocationConfig();
+  let inventory = toQuantity(product.inventory);
+  if (allocation.enabled && inventory === null) {
+    inventory = await lookupInventory(productId, variantId);
+    if (inventory !== null) product.inventory = inventory;
+  }
+  const waves = allocation.enabled && inventory !== null;
+  if (allocation.enabled && !waves) {
+    console.warn(`Inventory unknown for product ${productId}, alerting everyone without waves`);
+  }
+  const { now: toAlert, later } = waves
+    ? planWave(eligible, inventory, allocation.multiplier)
+    : { now: eligible, later: [] };
+
+  return { product, variantId, subscribers, ordered, matchCounts, recentlyAlerted, toAlert, later, waves };
+}
+
+// Record progress on the job's audit log entry; a logging failure never fails the job
+async function audit(job, fields) {
+  await updateWebhookCall(job.logId, fields)
+    .catch(error => console.error(`Audit log update failed for job ${job.id}:`, error));
+}
+
+// Send the alerts for a restock. Returns the job result summary: `counts` per subscriber
+// status (see ALERT_STATUSES in lib/restock.js, plus queued_for_next_wave and skipped_ordered)
+// and `results`, one per matched subscriber.
+async function runRestock(job) {
+  const { restock, restockId } = job;
+  const plan = await planRestock(restock);
+  if (!plan.product) {
+    return { message: 'Product not found' };
+  }
+
+  const { product, variantId, subscribers, ordered, matchCounts, recentlyAlerted, toAlert, later, waves } = plan;
+  await audit(job, {
+    product: { id: product.id, title: product.title, handle: product.handle, inventory: product.inventory ?? null },
+    subscribers: [...subscribers, ...ordered].map(sub => ({
+      email: sub.email,
+      profileId: sub.profileId || null,
+      matchRule: sub.matchRule,
+      signupDate: sub.signupDate || null,
+    })),
+  });
+
+  // Buyers come off the active waitlist, so later waves and restocks skip them too
+  if (ordered.length > 0) {
+    await setStatus(ordered.flatMap(sub => sub.entryIds), 'ordered', { orderedAt: now() });
+  }
+
+  const summary = { productId: product.id, subscribersFound: subscribers.length, matchMode: getMatchMode(), matchCounts };
+
+  // Unknown inventory isn't a reason to hold alerts back - Flow only calls on a restock
+  if (toQuantity(product.inventory) !== null && product.inventory <= 0) {
+    return { ...summary, message: 'Inventory not positive, no alerts sent' };
+  }
+  if (subscribers.length === 0) {
+    return { ...summary, message: 'No subscribers found' };
+  }
+
+  if (later.length > 0) {
+    // Keyed by job, so a retried job doesn't queue its wave twice
+    await queueWave({ key: `${job.id}:2`, product, variantId, restockId, wave: 2, subscribers: later });
+  }
+
+  const { counts, results } = await sendAlerts(toAlert, product, {
+    variantId,
+    restockId,
+    sendId: job.id,
+    wave: waves ? 1 : null,
+  });
+
+  // Subscribers skipped while planning never reached sendAlerts
+  const skippedEarlier = subscribers.filter(sub => recentlyAlerted.has(sub.email));
+  const jobCounts = {
+    ...counts,
+    skipped_already_alerted: counts.skipped_already_alerted + skippedEarlier.length,
+    queued_for_next_wave: later.length,
+    skipped_ordered: ordered.length,
+  };
+  console.log(`Restock ${restockId}:`, JSON.stringify(jobCounts));
+
+  return {
+    ...summary,
+    message: `Sent ${counts.sent} alerts`,
+    counts: jobCounts,
+    results: [
+      ...results,
+      ...skippedEarlier.map(sub => ({ email: sub.email, status: 'skipped_already_alerted' })),
+      ...later.map(sub => ({ email: sub.email, status: 'queued_for_next_wave' })),
+      ...ordered.map(sub => ({ email: sub.email, status: 'skipped_ordered' })),
+    ],
+  };
+}
+
+async function updateJob(id, fields) {
+  return updateCollection(JOBS, (jobs) => {
+    const job = jobs.find(j => j.id === id);
+    if (job) Object.assign(job, fields, { updatedAt: now() });
+    return { data: jobs, result: job ? { ...job } : null };
+  });
+}
+
+// Queue a restock. `restockId` is the webhook's idempotency key and `logId` its
+// audit log entry. Returns the job.
+export async function enqueueRestockJob(restock, { restockId, logId = null }) {
+  const job = {
+    id: crypto.randomUUID(),
+    status: 'queued',
+    restock,
+    restockId,
+    logId,
+    attempts: 0,
+    result: null,
+    failures: [],
+    error: null,
+    createdAt: now(),
+    updatedAt: now(),
+    startedAt: null,
+    finishedAt: null,
+  };
+
+  await updateCollection(JOBS, (jobs) => {
+    // Drop the oldest finished jobs once the log is full; queued/running ones are always kept
+    const finished = jobs.filter(j => j.status === 'completed' || j.status === 'failed');
+    const excess = new Set(finished.slice(0, Math.max(0, jobs.length + 1 - MAX_JOBS)).map(j => j.id));
+    return { data: [...jobs.filter(j => !excess.has(j.id)), job], result: undefined };
+  });
+
+  console.log(`Queued restock job ${job.id} for product=${restock.productId || '?'} variant=${restock.variantId || '?'}`);
+  return job;
+}
+
+// A single job by ID, or null
+export async function getJob(id) {
+  const jobs = await readCollection(JOBS);
+  return jobs.find(j => j.id === id) || null;
+}
+
+// Recent jobs, newest first
+export async function listJobs({ limit = 20 } = {}) {
+  const jobs = await readCollection(JOBS);
+  return [...jobs].reverse().slice(0, limit);
+}
+
+const isStale = (job, at) => job.status === 'running' &&
+  at - new Date(job.startedAt || job.updatedAt).getTime() >= STALE_RUNNING_MS;
+
+// Mark a queued (or stalled) job running. Returns the job, or null if it isn't ours to run.
+async function claimJob(id) {
+  const at = Date.now();
+  return updateCollection(JOBS, (jobs) => {
+    const job = jobs.find(j => j.id === id);
+    if (!job || !(job.status === 'queued' || isStale(job, at))) {
+      return { data: jobs, result: null };
+    }
+    Object.assign(job, { status: 'running', attempts: job.attempts + 1, startedAt: now(), updatedAt: now() });
+    return { data: jobs, result: { ...job } };
+  });
+}
+
+// Run one job to completion. Returns the updated job, or null if it was already claimed.
+export async function processRestockJob(id) {
+  const job = await claimJob(id);
+  if (!job) return null;
+  await audit(job, { jobStatus: 'running' });
+
+  try {
+    const { results = [], ...result } = await runRestock(job);
+    const failures = results.filter(r => r.status === 'failed');
+    await audit(job, {
+      jobStatus: 'completed',
+      message: result.message,
+      counts: result.counts || null,
+      results,
+      finishedAt: now(),
+    });
+    return updateJob(id, { status: 'completed', result, failures, error: null, finishedAt: now() });
+  } catch (error) {
+    console.error(`Restock job ${id} attempt ${job.attempts} failed:`, error);
+    const message = describeApiError(error);
+    if (job.attempts < MAX_JOB_ATTEMPTS) {
+      await audit(job, { jobStatus: 'queued', error: `Attempt ${job.attempts}: ${message}` });
+      return updateJob(id, { status: 'queued', error: message });
+    }
+    // Out of attempts: let a fresh delivery of the same webhook through
+    await releaseRequest(job.restockId).catch(() => {});
+    await audit(job, { jobStatus: 'failed', error: `Attempt ${job.attempts}: ${message}`, finishedAt: now() });
+    return updateJob(id, { status: 'failed', error: message, finishedAt: now() });
+  }
+}
+
+// Start a job without waiting for it (the webhook has already responded)
+export function startRestockJob(id) {
+  processRestockJob(id).catch(error => console.error(`Restock job ${id} crashed:`, error));
+}
+
+// Run every queued or stalled job, oldest first. Returns the processed jobs.
+export async function processQueuedJobs() {
+  const at = Date.now();
+  const jobs = await readCollection(JOBS);
+  const pending = jobs.filter(j => j.status === 'queued' || isStale(j, at));
+
+  const processed = [];
+  for (const job of pending) {
+    const result = await processRestockJob(job.id);
+    if (result) processed.push(result);
+  }
+  return processed;
+}
@@ -0,0 +1,428 @@
+import { klaviyoRequest, createEventsBulk, getProfilesByIds } from './klaviyo';
+import { shopifyRequest, getShopifyConfig, getStorefrontDomain, getOrdersByEmails } from './shopify';
+import { getRecentlyAlerted, recordAlert } from './alert-ledger';
+import { listActiveEntries, listEntries, setStatus, syncKlaviyoSignups } from './waitlist';
+import { buildUnsubscribeUrl } from './unsubscribe';
+import { describeApiError, ApiError, ConfigError } from './api-client';
+
+/**
+ * RESTOCK ALERTS
+ *
+ * Shared by restock jobs (lib/restock-jobs.js), the alert-wave cron and reconciliation:
+ * - findSubscribers: who is on the waitlist for a product/variant (lib/waitlist.js; cancelled entries never match)
+ * - findOrdered: which of them have bought the product since signing up (Shopify, checked at send time)
+ * - buildAlertEvent / createAlertEvent: one subscriber's "Back In Stock Alert" event in Klaviyo
+ * - sendAlerts: alerts for many subscribers through Klaviyo's bulk endpoints, with a status per subscriber
+ * - getProductDetails / getProductById: product info from Shopify
+ *
+ * Upstream failures (rate limits, timeouts, 5xx) are thrown as typed errors from
+ * lib/api-client.js rather than returned as empty results, so the caller can
+ * tell "nobody signed up" apart from "Klaviyo said 429".
+ */
+
+const ALERT_METRIC = 'Back In Stock Alert';
+const DEFAULT_SEND_CONCURRENCY = 5;
+const DEFAULT_SEND_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 2000;
+// Events per bulk create request (Klaviyo takes up to 1000)
+const EVENT_CHUNK_SIZE = 100;
+
+// What sendAlerts did for each subscriber
+export const ALERT_STATUSES = ['sent', 'failed', 'skipped_already_alerted'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Normalize Shopify GIDs to numeric string IDs for comparison
+const normalize = (id) => id?.toString().replace(/gid:\/\/shopify\/\w+\//g, '');
+
+// How signups are matched to a restock (set RESTOCK_MATCH_MODE per deploy):
+// - 'product' (default): match on product ID OR variant ID - any variant restocking alerts everyone
+// - 'variant': when the restock names a variant, signups with a VariantID only match that
+//   variant; legacy signups without a VariantID still match on product ID
+export function getMatchMode() {
+  return process.env.RESTOCK_MATCH_MODE === 'variant' ? 'variant' : 'product';
+}
+
+// Decide whether a waitlist entry matches the restocked product/variant.
+// Returns the rule that matched ('variant' or 'product') or null.
+export function matchSignup(entry, normProductId, normVariantId, mode) {
+  const entryProductId = normalize(entry.productId);
+  const entryVariantId = normalize(entry.variantId);
+
+  if (entryVariantId && normVariantId && entryVariantId === normVariantId) {
+    return 'variant';
+  }
+
+  // Strict variant mode: a signup tied to a different variant never matches
+  if (mode === 'variant' && normVariantId && entryVariantId) {
+    return null;
+  }
+
+  if (entryProductId && entryProductId === normProductId) {
+    return 'product';
+  }
+
+  return null;
+}
+
+// Subscribers who have ordered the product since their earliest signup, by email.
+// Checked against Shopify right before sending so nobody is alerted about something they
+// already bought. A failed lookup isn't fatal - the alerts go out as they would have.
+export async function findOrdered(subscribers, productId) {
+  if (!getShopifyConfig() || subscribers.length === 0) return new Set();
+
+  const normProductId = normalize(productId);
+  const signupTime = (sub) => (sub.signupDate ? new Date(sub.signupDate).getTime() : 0);
+  const since = Math.min(...subscribers.map(signupTime));
+
+  try {
+    const ordersByEmail = await getOrdersByEmails(subscribers.map(sub => sub.email), since ? new Date(since) : null);
+    return new Set(subscribers
+      .filter(sub => (ordersByEmail.get(sub.email.toLowerCase()) || []).some(order =>
+        new Date(order.createdAt).getTime() >= signupTime(sub) &&
+        order.lineItems.some(item => item.productId === normProductId)))
+      .map(sub => sub.email));
+  } catch (error) {
+    console.warn(`Order check for product ${normProductId} failed, not excluding buyers: ${describeApiError(error)}`);
+    return new Set();
+  }
+}
+
+// Find everyone on the waitlist for this product who hasn't bought it yet
+// Returns { subscribers, ordered, matchCounts } where matchCounts tallies signups matched by each rule.
+// Each subscriber is { profileId, email, matchRule, signupDate, entryIds } - signupDate is
+// their earliest matching signup, used for first-come ordering; entryIds are the waitlist
+// entries the alert covers. `ordered` lists matched subscribers left out because they have
+// ordered the product (see findOrdered) - callers that send mark their entries ordered.
+// `statuses` narrows the entries considered (default: all active).
+export async function findSubscribers(productId, variantId, { statuses = null } = {}) {
+  const matchCounts = { variant: 0, product: 0 };
+
+  // Pick up signups that only exist in Klaviyo so far (no-op once sync is off)
+  try {
+    await syncKlaviyoSignups();
+  } catch (error) {
+    console.warn(`New Klaviyo signups not synced, using the waitlist as is: ${describeApiError(error)}`);
+  }
+  const entries = statuses ? await listEntries({ statuses }) : await listActiveEntries();
+
+  const mode = getMatchMode();
+  const normProductId = normalize(productId);
+  const normVariantId = normalize(variantId);
+
+  console.log(`Looking for signups: product=${normProductId}, variant=${normVariantId}, mode=${mode}`);
+
+  // Group matching entries by email, keeping the earliest signup
+  const byEmail = new Map();
+
+  for (const entry of entries) {
+    const rule = matchSignup(entry, normProductId, normVariantId, mode);
+    if (!rule) continue;
+
+    console.log(`Found signup: ${entry.email} (matched by ${rule})`);
+    matchCounts[rule]++;
+
+    const existing = byEmail.get(entry.email);
+    if (!existing) {
+      byEmail.set(entry.email, {
+        profileId: entry.profileId,
+        email: entry.email,
+        matchRule: rule,
+        signupDate: entry.signupDate,
+        entryIds: [entry.id],
+      });
+      continue;
+    }
+
+    existing.entryIds.push(entry.id);
+    existing.profileId = existing.profileId || entry.profileId;
+    if (rule === 'variant') existing.matchRule = 'variant';
+    if (entry.signupDate && (!existing.signupDate || new Date(entry.signupDate) < new Date(existing.signupDate))) {
+      existing.signupDate = entry.signupDate;
+    }
+  }
+
+  const matched = [...byEmail.values()];
+  const ordered = await findOrdered(matched, productId);
+  if (ordered.size > 0) console.log(`Skipping ${ordered.size} subscribers who already ordered`);
+
+  return {
+    subscribers: matched.filter(sub => !ordered.has(sub.email)),
+    ordered: matched.filter(sub => ordered.has(sub.email)),
+    matchCounts,
+  };
+}
+
+// Properties of a "Back In Stock Alert" event - what the email template uses.
+// VariantID is the restocked variant (null for product-level alerts). UnsubscribeURL takes
+// the subscriber off the waitlist entries the alert covers (null if links aren't configured).
+function buildAlertProperties(product, variantId, entryIds) {
+  return {
+    ProductID: product.id,
+    VariantID: normalize(variantId) || null,
+    ProductTitle: product.title,
+    ProductHandle: product.handle,
+    ProductURL: product.url,
+    ProductImage: product.image,
+    InventoryQuantity: product.inventory,
+    AlertDate: new Date().toISOString(),
+    UnsubscribeURL: buildUnsubscribeUrl(entryIds),
+  };
+}
+
+// Klaviyo event payload for a subscriber's "Back In Stock Alert".
+// Also returned as-is by webhook dry runs; bulk sends carry the same metric and properties.
+export function buildAlertEvent(email, product, variantId = null, entryIds = []) {
+  return {
+    data: {
+      type: 'event',
+      attributes: {
+        metric: {
+          data: {
+            type: 'metric',
+            attributes: { name: ALERT_METRIC }
+          }
+        },
+        profile: {
+          data: {
+            type: 'profile',
+            attributes: { email }
+          }
+        },
+        properties: buildAlertProperties(product, variantId, entryIds),
+      }
+    }
+  };
+}
+
+// Create "Back In Stock Alert" event for a single subscriber (dashboard resend)
+// This event TRIGGERS the Klaviyo email flow
+// Returns true on success; failures (after retries) are logged and return false
+export async function createAlertEvent(email, product, variantId = null, entryIds = []) {
+  try {
+    await klaviyoRequest('/events/', {
+      method: 'POST',
+      body: JSON.stringify(buildAlertEvent(email, product, variantId, entryIds))
+    });
+    console.log(`Alert sent for ${email}`);
+    return true;
+
+  } catch (error) {
+    console.error(`Alert failed for ${email}:`, error.message, error.body || '');
+    return false;
+  }
+}
+
+// How many bulk event requests go out at once (ALERT_SEND_CONCURRENCY, default 5) and how many
+// times each subscriber's event is attempted before it counts as failed (ALERT_SEND_ATTEMPTS, default 3)
+export function getSendConfig() {
+  const concurrency = parseInt(process.env.ALERT_SEND_CONCURRENCY, 10);
+  const attempts = parseInt(process.env.ALERT_SEND_ATTEMPTS, 10);
+  return {
+    concurrency: Number.isFinite(concurrency) && concurrency > 0 ? concurrency : DEFAULT_SEND_CONCURRENCY,
+    attempts: Number.isFinite(attempts) && attempts > 0 ? attempts : DEFAULT_SEND_ATTEMPTS,
+  };
+}
+
+// Run fn over every item with at most `limit` calls in flight
+async function forEachWithConcurrency(items, limit, fn) {
+  let next = 0;
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const item = items[next++];
+      await fn(item);
+    }
+  });
+  await Promise.all(workers);
+}
+
+const chunk = (items, size) => Array.from(
+  { length: Math.ceil(items.length / size) },
+  (_, i) => items.slice(i * size, (i + 1) * size)
+);
+
+// Klaviyo rejected the request itself (bad payload) - sending it again won't help
+const isRejected = (error) => error instanceof ConfigError ||
+  (error instanceof ApiError && error.status >= 400 && error.status < 500 && error.status !== 429);
+
+// Current Klaviyo profiles for the subscribers' profile IDs, in bulk. A failed lookup isn't
+// fatal - the alerts still go out by email, Klaviyo matches the profile itself.
+async function lookupProfiles(subscribers) {
+  try {
+    return await getProfilesByIds(subscribers.map(sub => sub.profileId));
+  } catch (error) {
+    console.warn(`Profile lookup failed, sending alerts by email only: ${describeApiError(error)}`);
+    return new Map();
+  }
+}
+
+// Send one subscriber's alert event on its own, retrying with a growing pause (or
+// Klaviyo's Retry-After) between attempts. `tried` is how many attempts it already had as
+// part of its chunk. Returns { sub, ok, attempts, error }
+async function sendEvent(sub, event, attempts, tried) {
+  let lastError = null;
+  for (let attempt = tried + 1; attempt <= attempts; attempt++) {
+    try {
+      await createEventsBulk(ALERT_METRIC, [event], { retries: 0 });
+      return { sub, ok: true, attempts: attempt, error: null };
+    } catch (error) {
+      lastError = error;
+      console.error(`Alert attempt ${attempt}/${attempts} failed for ${sub.email}:`, error.message, error.body || '');
+      if (isRejected(error)) return { sub, ok: false, attempts: attempt, error: describeApiError(error) };
+      if (attempt < attempts) await sleep(error.retryAfterMs ?? RETRY_DELAY_MS * attempt);
+    }
+  }
+  return { sub, ok: false, attempts, error: describeApiError(lastError) };
+}
+
+// Send one chunk of alert events in a single request. Klaviyo takes or rejects the whole
+// chunk, so if it fails each subscriber's event is retried on its own (sendEvent) - one
+// that keeps failing doesn't resend the rest. These are the only retries: each event's
+// unique_id (send, email, product) lets Klaviyo drop a copy of one that did arrive
+// before a timeout. If Klaviyo rejects the chunk as invalid, every event gets a fresh
+// first try on its own so a single bad profile doesn't fail the rest.
+// Returns [{ sub, ok, attempts, error }]
+async function sendChunk(subs, product, variantId, sendId, profiles, attempts) {
+  const events = subs.map(sub => {
+    const profile = profiles.get(sub.profileId);
+    return {
+      // Known profiles are addressed by ID, with the email Klaviyo has for them now
+      profile: profile ? { id: sub.profileId, email: profile.email || sub.email } : { email: sub.email },
+      properties: buildAlertProperties(product, variantId, sub.entryIds),
+      uniqueId: `${sendId}:${sub.email}:${product.id}`,
+    };
+  });
+
+  try {
+    await createEventsBulk(ALERT_METRIC, events, { retries: 0 });
+    console.log(`Alerts sent for ${subs.length} subscribers`);
+    return subs.map(sub => ({ sub, ok: true, attempts: 1, error: null }));
+  } catch (error) {
+    console.error(`Bulk alert failed for ${subs.length} subscribers:`, error.message, error.body || '');
+
+    const rejected = isRejected(error);
+    if (error instanceof ConfigError || (rejected && subs.length === 1) || (!rejected && attempts <= 1)) {
+      return subs.map(sub => ({ sub, ok: false, attempts: 1, error: describeApiError(error) }));
+    }
+    if (!rejected) await sleep(error.retryAfterMs ?? RETRY_DELAY_MS);
+
+    const results = [];
+    for (const [i, sub] of subs.entries()) {
+      results.push(await sendEvent(sub, events[i], attempts, rejected ? 0 : 1));
+    }
+    return results;
+  }
+}
+
+// Send "Back In Stock Alert" events to a list of subscribers and record each in the ledger.
+// Anyone already alerted for this product/variant within the dedupe window is skipped.
+// Profiles are looked up and events created in bulk: chunks of EVENT_CHUNK_SIZE, a few
+// at a time, with each subscriber's event retried per getSendConfig() if its chunk fails.
+// `trigger`/`triggeredBy` say what caused the send (see recordAlert in lib/alert-ledger.js).
+// `sendId` names this send (a restock job, wave or reconciliation run) and goes into each
+// event's unique_id: retries within it can't email anyone twice, while a later send - even
+// for an identical restock webhook - is never mistaken for one.
+// Returns { counts: { sent, failed, skipped_already_alerted },
+//           results: [{ email, status, attempts?, error? }] } - one result per subscriber
+export async function sendAlerts(subscribers, product, {
+  variantId,
+  restockId,
+  sendId,
+  wave = null,
+  trigger = 'webhook',
+  triggeredBy = null,
+}) {
+  const recentlyAlerted = await getRecentlyAlerted(product.id, variantId);
+  const { concurrency, attempts } = getSendConfig();
+  const results = [];
+
+  const toSend = subscribers.filter(sub => {
+    if (!recentlyAlerted.has(sub.email)) return true;
+    console.log(`Skipping ${sub.email} - already alerted recently`);
+    results.push({ email: sub.email, status: 'skipped_already_alerted' });
+    return false;
+  });
+
+  const profiles = toSend.length > 0 ? await lookupProfiles(toSend) : new Map();
+
+  await forEachWithConcurrency(chunk(toSend, EVENT_CHUNK_SIZE), concurrency, async (subs) => {
+    for (const { sub, ok, attempts: tries, error } of await sendChunk(subs, product, variantId, sendId, profiles, attempts)) {
+      if (!ok) {
+        results.push({ email: sub.email, status: 'failed', attempts: tries, error });
+        continue;
+      }
+
+      if (sub.entryIds) {
+        await setStatus(sub.entryIds, 'alerted', { alertedAt: new Date().toISOString() });
+      }
+      await recordAlert({
+        email: sub.email,
+        profileId: sub.profileId,
+        productId: product.id,
+        variantId,
+        restockId,
+        wave,
+        trigger,
+        triggeredBy,
+      });
+      results.push({ email: sub.email, status: 'sent', attempts: tries });
+    }
+  });
+
+  const counts = Object.fromEntries(ALERT_STATUSES.map(status => [status, 0]));
+  for (const result of results) counts[result.status]++;
+
+  return { counts, results };
+}
+
+// Look up product details from Shopify by product ID
+// Returns null if Shopify isn't configured or the product doesn't exist
+export async function getProductById(productId) {
+  if (!getShopifyConfig() || !productId) return null;
+
+  const productData = await shopifyRequest(`/products/${normalize(productId)}.json`);
+  const product = productData?.product;
+  if (!product) return null;
+
+  const inventory = (product.variants || []).reduce(
+    (sum, v) => sum + (v.inventory_quantity || 0), 0
+  );
+
+  return {
+    id: product.id.toString(),
+    title: product.title,
+    handle: product.handle,
+    url: `https://${getStorefrontDomain()}/products/${product.handle}`,
+    image: product.image?.src || product.images?.[0]?.src || '',
+    inventory,
+    variants: (product.variants || []).map(v => ({
+      id: v.id.toString(),
+      inventory: v.inventory_quantity || 0,
+    })),
+  };
+}
+
+// Look up product details from Shopify, starting from a variant ID
+export async function getProductDetails(variantId) {
+  if (!getShopifyConfig() || !variantId) return null;
+
+  // Get variant to find product ID
+  const variantData = await shopifyRequest(`/variants/${normalize(variantId)}.json`);
+  const productId = variantData?.variant?.product_id;
+  if (!productId) return null;
+
+  return getProductById(productId);
+}
+
+// Current available inventory for a restock target: the variant's own quantity
+// when we know it, otherwise the product total
+export async function getCurrentInventory(productId, variantId) {
+  const details = await getProductById(productId);
+  if (!details) return null;
+
+  if (variantId) {
+    const variant = details.variants.find(v => v.id === normalize(variantId));
+    if (variant) return variant.inventory;
+  }
+  return details.inventory;
+}
@@ -0,0 +1,122 @@
+/**
+ * STAFF SESSIONS
+ *
+ * Signed session cookie for the dashboard login (see middleware.js and
+ * /api/auth/login). The cookie value is `<payload>.<signature>`: a base64url
+ * JSON payload { email, exp } and an HMAC-SHA256 of it keyed with
+ * SESSION_SECRET (or DASHBOARD_PASSWORD if that isn't set, so changing the
+ * password signs everyone out).
+ *
+ * Uses Web Crypto only - this module runs in the edge middleware as well as
+ * in route handlers, so it must not import Node built-ins.
+ */
+
+export const SESSION_COOKIE = 'bis_session';
+
+// Header the middleware sets on authenticated requests so route handlers know
+// who is acting. Any client-sent value is overwritten.
+export const STAFF_HEADER = 'x-bis-staff';
+
+const encoder = new TextEncoder();
+
+export function getSessionSecret() {
+  return process.env.SESSION_SECRET || process.env.DASHBOARD_PASSWORD || null;
+}
+
+// Login is configured when there is a password to check against
+export function isLoginConfigured() {
+  return Boolean(process.env.DASHBOARD_PASSWORD);
+}
+
+// DASHBOARD_ALLOWED_EMAILS (comma-separated) restricts who can sign in; empty means anyone with the password
+export function getAllowedEmails() {
+  return (process.env.DASHBOARD_ALLOWED_EMAILS || '')
+    .split(',')
+    .map(e => e.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+export function getSessionMaxAgeSeconds() {
+  const hours = parseFloat(process.env.SESSION_MAX_AGE_HOURS);
+  return Math.round((Number.isFinite(hours) && hours > 0 ? hours : 12) * 60 * 60);
+}
+
+// Constant-time string comparison that works without Node's crypto
+export function constantTimeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length === 0 || a.length !== b.length) {
+    return false;
+  }
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+function toBase64Url(bytes) {
+  let binary = '';
+  for (const byte of bytes) binary += String.fromCharCode(byte);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(value) {
+  const binary = atob(value.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+async function sign(value, secret) {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(value));
+  return toBase64Url(new Uint8Array(signature));
+}
+
+// Create a signed session token for a staff member
+export async function createSessionToken(email) {
+  const secret = getSessionSecret();
+  if (!secret) throw new Error('SESSION_SECRET or DASHBOARD_PASSWORD must be set');
+
+  const payload = toBase64Url(encoder.encode(JSON.stringify({
+    email,
+    exp: Date.now() + getSessionMaxAgeSeconds() * 1000,
+  })));
+  return `${payload}.${await sign(payload, secret)}`;
+}
+
+// Verify a session token. Returns { email, exp } or null if it is missing,
+// tampered with, expired, or its email is no longer allowed.
+export async function verifySessionToken(token) {
+  const secret = getSessionSecret();
+  if (!token || !secret) return null;
+
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) return null;
+  if (!constantTimeEqual(signature, await sign(payload, secret))) return null;
+
+  try {
+    const session = JSON.parse(new TextDecoder().decode(fromBase64Url(payload)));
+    if (!session.email || !session.exp || session.exp < Date.now()) return null;
+
+    const allowed = getAllowedEmails();
+    if (allowed.length > 0 && !allowed.includes(session.email)) return null;
+
+    return session;
+  } catch {
+    return null;
+  }
+}
+
+// Session from a request's cookie (NextRequest in middleware, Request in route handlers)
+export async function getSessionFromRequest(request) {
+  const fromCookies = request.cookies?.get?.(SESSION_COOKIE)?.value;
+  if (fromCookies !== undefined) return verifySessionToken(fromCookies);
+
+  const header = request.headers.get('cookie') || '';
+  const match = header.split(/;\s*/).find(c => c.startsWith(`${SESSION_COOKIE}=`));
+  return verifySessionToken(match ? decodeURIComponent(match.slice(SESSION_COOKIE.length + 1)) : null);
+}
@@ -0,0 +1,332 @@
+import { requestWithRetry, ApiError, RateLimitError } from './api-client';
+
+/**
+ * SHOPIFY CLIENT
+ *
+ * Shared Shopify Admin API access. Requests go through requestWithRetry, which
+ * backs off on 429s and slows down as the REST call-limit bucket fills.
+ *
+ * The batch helpers (getProductsByIds, getCustomersByEmails, getOrdersByEmails)
+ * use the GraphQL Admin API so the dashboard makes a handful of calls per
+ * chunk of rows instead of one REST call per row.
+ */
+
+export const SHOPIFY_API_VERSION = '2024-01';
+
+// Chunk sizes keep each GraphQL query well under Shopify's 1000-point cost limit
+const PRODUCT_BATCH_SIZE = 10;
+const CUSTOMER_BATCH_SIZE = 50;
+const ORDER_EMAIL_BATCH_SIZE = 25;
+const GRAPHQL_THROTTLE_RETRIES = 3;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+  return chunks;
+}
+
+// Store domain + admin token, or null if Shopify isn't configured for this deploy
+export function getShopifyConfig() {
+  const domain = process.env.SHOPIFY_STORE_DOMAIN;
+  const token = process.env.SHOPIFY_ADMIN_TOKEN;
+  return domain && token ? { domain, token } : null;
+}
+
+// Public storefront domain (your-store.myshopify.com -> your-store.com)
+export function getStorefrontDomain() {
+  return (process.env.SHOPIFY_STORE_DOMAIN || '').replace('.myshopify.com', '.com');
+}
+
+// Normalize Shopify GIDs to numeric string IDs
+export function toNumericId(id) {
+  if (!id) return null;
+  const str = String(id);
+  return str.includes('gid://') ? str.split('/').pop() : str;
+}
+
+// Call a REST Admin endpoint, e.g. shopifyRequest('/products/123.json').
+// Returns parsed JSON, or null if the resource doesn't exist (404).
+// Throws ApiError/RateLimitError/TimeoutError for anything else.
+export async function shopifyRequest(path, init = {}) {
+  const config = getShopifyConfig();
+  if (!config) return null;
+
+  const res = await requestWithRetry(
+    `https://${config.domain}/admin/api/${SHOPIFY_API_VERSION}${path}`,
+    {
+      cache: 'no-store',
+      ...init,
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Shopify-Access-Token': config.token,
+        ...init.headers,
+      },
+    },
+    { service: 'shopify', allowStatuses: [404] }
+  );
+
+  if (res.status === 404) return null;
+  return res.json();
+}
+
+// Shopify search syntax needs quoting for values with special characters
+const quoteSearch = (value) => `"${String(value).replace(/["\\]/g, '')}"`;
+
+// Run a GraphQL Admin query. Returns `data`, or null if Shopify isn't configured.
+// GraphQL throttling comes back as a 200 with a THROTTLED error - we wait for the
+// cost bucket to refill and retry, then give up with a RateLimitError.
+export async function shopifyGraphql(query, variables = {}) {
+  const config = getShopifyConfig();
+  if (!config) return null;
+
+  for (let attempt = 0; ; attempt++) {
+    const res = await requestWithRetry(
+      `https://${config.domain}/admin/api/${SHOPIFY_API_VERSION}/graphql.json`,
+      {
+        method: 'POST',
+        cache: 'no-store',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Shopify-Access-Token': config.token,
+        },
+        body: JSON.stringify({ query, variables }),
+      },
+      // Only queries go through here - repeating one changes nothing
+      { service: 'shopify', idempotent: true }
+    );
+
+    const json = await res.json();
+    const errors = json.errors || [];
+
+    if (errors.some(e => e.extensions?.code === 'THROTTLED')) {
+      const cost = json.extensions?.cost;
+      const needed = (cost?.requestedQueryCost || 0) - (cost?.throttleStatus?.currentlyAvailable || 0);
+      const restoreRate = cost?.throttleStatus?.restoreRate || 50;
+      const waitMs = Math.max(1000, (needed / restoreRate) * 1000);
+
+      if (attempt >= GRAPHQL_THROTTLE_RETRIES) {
+        throw new RateLimitError('shopify API rate limited', { service: 'shopify', retryAfterMs: waitMs });
+      }
+      console.log(`shopify GraphQL throttled, retrying in ${Math.round(waitMs)}ms`);
+      await sleep(waitMs);
+      continue;
+    }
+
+    if (errors.length > 0) {
+      throw new ApiError(`shopify GraphQL error: ${errors[0].message}`, {
+        service: 'shopify',
+        status: res.status,
+        body: JSON.stringify(errors),
+      });
+    }
+
+    return json.data;
+  }
+}
+
+// Products by ID (numeric or GID), fetched in batches.
+// Returns Map numericProductId -> { id, title, handle, inventory, variants: [{ id, sku, inventory }] }
+export async function getProductsByIds(productIds) {
+  const ids = [...new Set(productIds.filter(Boolean).map(toNumericId))];
+  const products = new Map();
+
+  for (const batch of chunk(ids, PRODUCT_BATCH_SIZE)) {
+    const data = await shopifyGraphql(
+      `query ProductsByIds($ids: [ID!]!) {
+        nodes(ids: $ids) {
+          ... on Product {
+            id
+            title
+            handle
+            variants(first: 50) {
+              nodes { id sku inventoryQuantity }
+            }
+          }
+        }
+      }`,
+      { ids: batch.map(id => `gid://shopify/Product/${id}`) }
+    );
+
+    for (const node of data?.nodes || []) {
+      if (!node?.id) continue;
+      const variants = (node.variants?.nodes || []).map(v => ({
+        id: toNumericId(v.id),
+        sku: v.sku || null,
+        inventory: v.inventoryQuantity || 0,
+      }));
+      products.set(toNumericId(node.id), {
+        id: toNumericId(node.id),
+        title: node.title,
+        handle: node.handle,
+        inventory: variants.reduce((sum, v) => sum + v.inventory, 0),
+        variants,
+      });
+    }
+  }
+
+  return products;
+}
+
+// Shopify customer IDs by email, fetched in batches.
+// Returns Map lowercased email -> numeric customer ID
+export async function getCustomersByEmails(emails) {
+  const unique = [...new Set(emails.filter(Boolean).map(e => e.toLowerCase()))];
+  const customers = new Map();
+
+  for (const batch of chunk(unique, CUSTOMER_BATCH_SIZE)) {
+    const data = await shopifyGraphql(
+      `query CustomersByEmail($query: String!, $first: Int!) {
+        customers(first: $first, query: $query) {
+          nodes { id email }
+        }
+      }`,
+      {
+        query: batch.map(email => `email:${quoteSearch(email)}`).join(' OR '),
+        first: batch.length * 2,
+      }
+    );
+
+    for (const node of data?.customers?.nodes || []) {
+      const email = node.email?.toLowerCase();
+      if (email && !customers.has(email)) customers.set(email, toNumericId(node.id));
+    }
+  }
+
+  return customers;
+}
+
+// Orders placed by any of these emails since `since` (ISO date), fetched in batches.
+// Returns Map lowercased email -> [{ id, name, createdAt, lineItems: [{ productId, variantId, title, variantTitle, quantity, amount, currency }] }]
+// where amount is the line total after discounts, in the shop's currency
+export async function getOrdersByEmails(emails, since = null) {
+  const unique = [...new Set(emails.filter(Boolean).map(e => e.toLowerCase()))];
+  const orders = new Map();
+  const sinceFilter = since ? ` created_at:>=${new Date(since).toISOString().slice(0, 10)}` : '';
+
+  for (const batch of chunk(unique, ORDER_EMAIL_BATCH_SIZE)) {
+    const query = `(${batch.map(email => `email:${quoteSearch(email)}`).join(' OR ')})${sinceFilter}`;
+    let after = null;
+
+    do {
+      const data = await shopifyGraphql(
+        `query OrdersByEmail($query: String!, $after: String) {
+          orders(first: 25, after: $after, query: $query) {
+            pageInfo { hasNextPage endCursor }
+            nodes {
+              id
+              name
+              email
+              createdAt
+              lineItems(first: 20) {
+                nodes {
+                  title
+                  variantTitle
+                  quantity
+                  product { id }
+                  variant { id }
+                  discountedTotalSet { shopMoney { amount currencyCode } }
+                }
+              }
+            }
+          }
+        }`,
+        { query, after }
+      );
+
+      const page = data?.orders;
+      for (const node of page?.nodes || []) {
+        const email = node.email?.toLowerCase();
+        if (!email) continue;
+        if (!orders.has(email)) orders.set(email, []);
+        orders.get(email).push({
+          id: toNumericId(node.id),
+          name: node.name,
+          createdAt: node.createdAt,
+          lineItems: (node.lineItems?.nodes || []).map(item => ({
+            productId: toNumericId(item.product?.id),
+            variantId: toNumericId(item.variant?.id),
+            title: item.title || '',
+            variantTitle: item.variantTitle || null,
+            quantity: item.quantity,
+            amount: parseFloat(item.discountedTotalSet?.shopMoney?.amount) || 0,
+            currency: item.discountedTotalSet?.shopMoney?.currencyCode || null,
+          })),
+        });
+      }
+
+      after = page?.pageInfo?.hasNextPage ? page.pageInfo.endCursor : null;
+    } while (after);
+  }
+
+  return orders;
+}
+
+// A single variant with its product and the `custom.variant_sub_status` metafield
+// the notify-me form keys off. Returns null if it doesn't exist.
+export async function getVariantById(variantId) {
+  const data = await shopifyGraphql(
+    `query Variant($id: ID!) {
+      productVariant(id: $id) {
+        id
+        title
+        sku
+        inventoryQuantity
+        subStatus: metafield(namespace: "custom", key: "variant_sub_status") { value }
+        product {
+          id
+          title
+          handle
+          featuredImage { url }
+        }
+      }
+    }`,
+    { id: `gid://shopify/ProductVariant/${toNumericId(variantId)}` }
+  );
+
+  const variant = data?.productVariant;
+  if (!variant) return null;
+
+  return {
+    id: toNumericId(variant.id),
+    title: variant.title,
+    sku: variant.sku || null,
+    inventory: variant.inventoryQuantity || 0,
+    subStatus: variant.subStatus?.value || null,
+    product: {
+      id: toNumericId(variant.product.id),
+      title: variant.product.title,
+      handle: variant.product.handle,
+      url: `https://${getStorefrontDomain()}/products/${variant.product.handle}`,
+      image: variant.product.featuredImage?.url || '',
+    },
+  };
+}
+
+// Resolve an inventory item (from inventory_levels/update webhooks) to its variant.
+// inventoryQuantity is the variant's total available across all locations.
+// Returns { variantId, productId, inventory } or null if it doesn't exist.
+export async function getVariantByInventoryItemId(inventoryItemId) {
+  const data = await shopifyGraphql(
+    `query InventoryItemVariant($id: ID!) {
+      inventoryItem(id: $id) {
+        variant {
+          id
+          inventoryQuantity
+          product { id }
+        }
+      }
+    }`,
+    { id: `gid://shopify/InventoryItem/${toNumericId(inventoryItemId)}` }
+  );
+
+  const variant = data?.inventoryItem?.variant;
+  if (!variant) return null;
+
+  return {
+    variantId: toNumericId(variant.id),
+    productId: toNumericId(variant.product.id),
+    inventory: variant.inventoryQuantity || 0,
+  };
+}
@@ -0,0 +1,61 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+/**
+ * LOCAL STORE
+ *
+ * Tiny JSON-file store for data the app owns (alert ledger, etc).
+ * Each collection is one JSON file under DATA_DIR (default ./.data).
+ *
+ * On Vercel the filesystem is ephemeral - point DATA_DIR at persistent
+ * storage (or a mounted volume) for production use.
+ */
+
+// Serialize writes per collection within this process
+const locks = new Map();
+
+export function getDataDir() {
+  return process.env.DATA_DIR || path.join(process.cwd(), '.data');
+}
+
+function collectionPath(name) {
+  return path.join(getDataDir(), `${name}.json`);
+}
+
+// Read a collection, returning `fallback` if it doesn't exist yet
+export async function readCollection(name, fallback = []) {
+  try {
+    const raw = await fs.readFile(collectionPath(name), 'utf8');
+    return JSON.parse(raw);
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw error;
+  }
+}
+
+// Write a collection atomically (temp file + rename) so a crash never leaves half a file
+async function writeCollection(name, data) {
+  const file = collectionPath(name);
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(data, null, 2));
+  await fs.rename(tmp, file);
+}
+
+// Read-modify-write a collection under a per-collection lock.
+// `updater` receives the current data and returns { data, result }:
+// `data` is written back, `result` is returned to the caller.
+export async function updateCollection(name, updater, fallback = []) {
+  const previous = locks.get(name) || Promise.resolve();
+
+  const run = previous.then(async () => {
+    const current = await readCollection(name, fallback);
+    const { data, result } = await updater(current);
+    await writeCollection(name, data);
+    return result;
+  });
+
+  // Keep the chain alive even if this update throws
+  locks.set(name, run.catch(() => {}));
+  return run;
+}
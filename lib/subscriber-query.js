@@ -0,0 +1,164 @@
+/**
+ * SUBSCRIBER QUERIES
+ *
+ * Filtering, sorting and paging of the subscriber snapshot rows
+ * (lib/subscribers.js), driven by URL query parameters so the dashboard's
+ * view can be shared as a link:
+ *
+ *   q         text search over email, name, product title and SKU
+ *   status    waitlist status, or 'all' - by default cancelled rows are hidden
+ *   alert     'yes' | 'no'             alert sent or not
+ *   ordered   'yes' | 'no' | 'unknown' ordered, not ordered, couldn't be checked
+ *   stock     'in' | 'out'             current inventory > 0 or <= 0
+ *   from, to  YYYY-MM-DD               signup date range (inclusive, UTC)
+ *   product   product ID               only this product (demand view drill-down)
+ *   variant   variant ID | 'none'      only this variant, or signups without one
+ *   sort      one of SORT_FIELDS, dir 'asc' | 'desc' (default: signupDate desc)
+ *   page, pageSize                     1-based page, default 50 rows (max 200)
+ */
+
+export const SORT_FIELDS = ['signupDate', 'email', 'product', 'inventory', 'alertSent', 'ordered'];
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const ID_PATTERN = /^\d+$/;
+const STATUS_FILTERS = ['waiting', 'alerted', 'ordered', 'cancelled', 'all'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function oneOf(value, allowed) {
+  return allowed.includes(value) ? value : null;
+}
+
+function positiveInt(value, fallback) {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+// Normalize URLSearchParams into a query object; unknown or invalid values are dropped
+export function parseSubscriberQuery(searchParams) {
+  const get = (name) => searchParams.get(name) || '';
+
+  return {
+    q: get('q').trim().toLowerCase(),
+    status: oneOf(get('status'), STATUS_FILTERS),
+    alert: oneOf(get('alert'), ['yes', 'no']),
+    ordered: oneOf(get('ordered'), ['yes', 'no', 'unknown']),
+    stock: oneOf(get('stock'), ['in', 'out']),
+    from: DATE_PATTERN.test(get('from')) ? get('from') : null,
+    to: DATE_PATTERN.test(get('to')) ? get('to') : null,
+    product: ID_PATTERN.test(get('product')) ? get('product') : null,
+    variant: get('variant') === 'none' || ID_PATTERN.test(get('variant')) ? get('variant') : null,
+    sort: oneOf(get('sort'), SORT_FIELDS) || 'signupDate',
+    dir: get('dir') === 'asc' ? 'asc' : 'desc',
+    page: positiveInt(get('page'), 1),
+    pageSize: Math.min(positiveInt(get('pageSize'), DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE),
+  };
+}
+
+function matchesSearch(row, term) {
+  return [row.email, row.name, row.productTitle, row.sku]
+    .some(value => value?.toLowerCase().includes(term));
+}
+
+// Rows matching every filter in the query (ignores sort and paging)
+export function filterSubscribers(rows, query) {
+  const fromTime = query.from ? new Date(`${query.from}T00:00:00Z`).getTime() : null;
+  const toTime = query.to ? new Date(`${query.to}T00:00:00Z`).getTime() + DAY_MS : null;
+
+  return rows.filter((row) => {
+    if (query.q && !matchesSearch(row, query.q)) return false;
+
+    if (!query.status && row.status === 'cancelled') return false;
+    if (query.status && query.status !== 'all' && row.status !== query.status) return false;
+
+    if (query.product && row.productId !== query.product) return false;
+    if (query.variant === 'none' && row.variantId) return false;
+    if (query.variant && query.variant !== 'none' && row.variantId !== query.variant) return false;
+
+    if (query.alert === 'yes' && !row.alertSent) return false;
+    if (query.alert === 'no' && row.alertSent) return false;
+
+    if (query.ordered === 'yes' && row.ordered !== true) return false;
+    if (query.ordered === 'no' && row.ordered !== false) return false;
+    if (query.ordered === 'unknown' && row.ordered !== null && row.ordered !== undefined) return false;
+
+    if (query.stock === 'in' && !(row.inventory > 0)) return false;
+    if (query.stock === 'out' && (row.inventory === null || row.inventory === undefined || row.inventory > 0)) return false;
+
+    if (fromTime !== null || toTime !== null) {
+      const signupTime = row.signupDate ? new Date(row.signupDate).getTime() : NaN;
+      if (Number.isNaN(signupTime)) return false;
+      if (fromTime !== null && signupTime < fromTime) return false;
+      if (toTime !== null && signupTime >= toTime) return false;
+    }
+
+    return true;
+  });
+}
+
+function sortValue(row, field) {
+  switch (field) {
+    case 'email': return row.email?.toLowerCase() ?? null;
+    case 'product': return row.productTitle?.toLowerCase() ?? null;
+    case 'inventory': return row.inventory ?? null;
+    case 'alertSent': return row.alertSent === null || row.alertSent === undefined ? null : Number(row.alertSent);
+    case 'ordered': return row.ordered === null || row.ordered === undefined ? null : Number(row.ordered);
+    default: {
+      const time = row.signupDate ? new Date(row.signupDate).getTime() : NaN;
+      return Number.isNaN(time) ? null : time;
+    }
+  }
+}
+
+// Sorted copy of the rows. Missing values always sort last, whichever the direction.
+export function sortSubscribers(rows, { sort = 'signupDate', dir = 'desc' } = {}) {
+  const sign = dir === 'asc' ? 1 : -1;
+
+  return [...rows].sort((a, b) => {
+    const va = sortValue(a, sort);
+    const vb = sortValue(b, sort);
+    if (va === vb) return 0;
+    if (va === null) return 1;
+    if (vb === null) return -1;
+    return (va < vb ? -1 : 1) * sign;
+  });
+}
+
+// Filter, sort and page the rows.
+// Returns { rows, total, page, pageSize, totalPages } - page is clamped to the last page.
+export function querySubscribers(rows, query) {
+  const sorted = sortSubscribers(filterSubscribers(rows, query), query);
+  const totalPages = Math.max(1, Math.ceil(sorted.length / query.pageSize));
+  const page = Math.min(query.page, totalPages);
+  const start = (page - 1) * query.pageSize;
+
+  return {
+    rows: sorted.slice(start, start + query.pageSize),
+    total: sorted.length,
+    page,
+    pageSize: query.pageSize,
+    totalPages,
+  };
+}
+
+// One entry per product with how many people are still waiting on it,
+// most-wanted first (for the dashboard's restock alert actions)
+export function listProducts(rows) {
+  const byId = new Map();
+
+  for (const row of rows) {
+    if (!row.productId) continue;
+    if (!byId.has(row.productId)) {
+      byId.set(row.productId, {
+        id: row.productId,
+        title: row.productTitle || `Product ${row.productId}`,
+        url: row.productUrl,
+        waiting: 0,
+      });
+    }
+    if (row.status === 'waiting') byId.get(row.productId).waiting++;
+  }
+
+  return [...byId.values()].sort((a, b) => b.waiting - a.waiting);
+}
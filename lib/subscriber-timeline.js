@@ -0,0 +1,215 @@
+import { fetchAllPages, getMetricIdsByName } from './klaviyo';
+import { getShopifyConfig, getOrdersByEmails, toNumericId } from './shopify';
+import { describeApiError } from './api-client';
+import { listAlerts } from './alert-ledger';
+import { listEntries } from './waitlist';
+import { getSubscriberSnapshot, getEmailSubjectPatterns, isBisEmailSubject } from './subscribers';
+
+/**
+ * SUBSCRIBER TIMELINE
+ *
+ * Everything that happened to one Klaviyo profile, newest first, for answering
+ * "did I get the email?":
+ * - signup / cancelled: their waitlist entries (lib/waitlist.js)
+ * - alert: alerts we sent (alert ledger), plus older "Back In Stock Alert" events
+ *   in Klaviyo the ledger has no record of
+ * - email: "Received Email" events whose subject matches ALERT_EMAIL_SUBJECT_PATTERNS
+ * - order: Shopify orders since their first signup, with line items
+ *
+ * Their dashboard rows come from the cached subscriber snapshot (lib/subscribers.js),
+ * so alert/order status matches the table. Like the snapshot, a Klaviyo or Shopify
+ * lookup that fails leaves a warning instead of failing the whole timeline.
+ */
+
+// A Klaviyo alert event this close to a ledger alert for the same product is the same alert
+const SAME_ALERT_WINDOW_MS = 60 * 60 * 1000;
+// Events per metric fetched for one profile
+const MAX_PROFILE_EVENTS = 100;
+
+function addWarning(warnings, message) {
+  if (!warnings.includes(message)) warnings.push(message);
+}
+
+const time = (dateStr) => (dateStr ? new Date(dateStr).getTime() : 0);
+
+// This profile's latest MAX_PROFILE_EVENTS events for one Klaviyo metric, newest first
+async function getProfileEvents(metricId, profileId, label, warnings) {
+  const result = await fetchAllPages(
+    `/events/?filter=and(equals(metric_id,"${metricId}"),equals(profile_id,"${profileId}"))&page[size]=50&sort=-datetime`,
+    { maxPages: Math.ceil(MAX_PROFILE_EVENTS / 50) }
+  );
+  if (result.truncated) addWarning(warnings, `Only the latest ${MAX_PROFILE_EVENTS} ${label} events are shown`);
+  return result.data;
+}
+
+// "Back In Stock Alert" and matching "Received Email" events from Klaviyo.
+// Returns { alertEvents: [{ at, productId, variantId, productTitle }], emails: [{ at, subject }] }
+async function loadKlaviyoEvents(profileId, warnings) {
+  try {
+    const metricIds = await getMetricIdsByName(['Back In Stock Alert', 'Received Email']);
+    const alertMetricId = metricIds['Back In Stock Alert'];
+    const emailMetricId = metricIds['Received Email'];
+
+    const [alertEvents, emailEvents] = await Promise.all([
+      alertMetricId ? getProfileEvents(alertMetricId, profileId, 'Back In Stock Alert', warnings) : [],
+      emailMetricId ? getProfileEvents(emailMetricId, profileId, 'Received Email', warnings) : [],
+    ]);
+
+    const patterns = getEmailSubjectPatterns();
+    return {
+      alertEvents: alertEvents.map(event => {
+        const props = event.attributes?.event_properties || {};
+        return {
+          at: event.attributes?.datetime || null,
+          productId: toNumericId(props.ProductID),
+          variantId: toNumericId(props.VariantID),
+          productTitle: props.ProductTitle || null,
+        };
+      }),
+      emails: emailEvents
+        .map(event => {
+          const props = event.attributes?.event_properties || {};
+          return {
+            at: event.attributes?.datetime || null,
+            subject: props.Subject || '',
+            preview: props.$internal?.['Preview Text'] || '',
+          };
+        })
+        .filter(email => isBisEmailSubject(email.subject, email.preview, patterns)),
+    };
+  } catch (error) {
+    console.error(`Klaviyo events for profile ${profileId} failed:`, error);
+    addWarning(warnings, `Klaviyo alert and email events unavailable (${describeApiError(error)})`);
+    return { alertEvents: [], emails: [] };
+  }
+}
+
+async function loadOrders(emails, since, warnings) {
+  if (!getShopifyConfig()) return [];
+
+  try {
+    const ordersByEmail = await getOrdersByEmails(emails, since);
+    return [...ordersByEmail.values()].flat();
+  } catch (error) {
+    console.error('Shopify orders for timeline failed:', error);
+    addWarning(warnings, `Orders unavailable (${describeApiError(error)})`);
+    return [];
+  }
+}
+
+// This profile's dashboard rows from the cached snapshot
+async function loadRows(profileId, warnings) {
+  try {
+    const { subscribers } = await getSubscriberSnapshot();
+    return subscribers.filter(row => row.profileId === profileId);
+  } catch (error) {
+    console.error('Subscriber snapshot for timeline failed:', error);
+    addWarning(warnings, `Alert and order status unavailable (${describeApiError(error)})`);
+    return [];
+  }
+}
+
+// Build the timeline for a Klaviyo profile ID. Returns null if it has no waitlist entries.
+// Returns { profileId, email, emails, name, shopifyCustomerId, rows, timeline, warnings, generatedAt }
+export async function buildSubscriberTimeline(profileId) {
+  const allEntries = await listEntries();
+  const own = allEntries.filter(e => e.profileId === profileId);
+  if (own.length === 0) return null;
+
+  // Entries under the same email but without the profile ID (imported before it was known) count too
+  const emails = [...new Set(own.map(e => e.email.toLowerCase()))];
+  const entries = allEntries.filter(e => e.profileId === profileId ||
+    (!e.profileId && emails.includes(e.email.toLowerCase())));
+
+  const warnings = [];
+  const firstSignup = entries
+    .map(e => e.signupDate)
+    .filter(Boolean)
+    .sort((a, b) => time(a) - time(b))[0] || null;
+
+  const [ledgerAlerts, klaviyo, orders, rows] = await Promise.all([
+    listAlerts(),
+    loadKlaviyoEvents(profileId, warnings),
+    loadOrders(emails, firstSignup, warnings),
+    loadRows(profileId, warnings),
+  ]);
+
+  // Product titles we know from signups, for alerts and order lines
+  const titles = new Map();
+  for (const entry of entries) {
+    if (entry.productTitle) titles.set(toNumericId(entry.productId), entry.productTitle);
+  }
+  const waitlisted = new Set(entries.map(e => toNumericId(e.productId)));
+
+  const timeline = [];
+
+  for (const entry of entries) {
+    const product = {
+      productId: toNumericId(entry.productId),
+      variantId: toNumericId(entry.variantId),
+      productTitle: entry.productTitle || null,
+      entryId: entry.id,
+    };
+    timeline.push({ type: 'signup', at: entry.signupDate || null, ...product, source: entry.source || null });
+    if (entry.cancelledAt) {
+      timeline.push({ type: 'cancelled', at: entry.cancelledAt, ...product, by: entry.cancelledBy || null });
+    }
+  }
+
+  const sent = ledgerAlerts.filter(a => a.profileId === profileId || emails.includes(a.email));
+  for (const alert of sent) {
+    timeline.push({
+      type: 'alert',
+      at: alert.sentAt,
+      source: 'ledger',
+      productId: toNumericId(alert.productId),
+      variantId: toNumericId(alert.variantId),
+      productTitle: titles.get(toNumericId(alert.productId)) || null,
+      trigger: alert.trigger,
+      triggeredBy: alert.triggeredBy || null,
+      wave: alert.wave ?? null,
+    });
+  }
+
+  // Klaviyo's copy of alerts the ledger already has would show every alert twice
+  for (const event of klaviyo.alertEvents) {
+    const inLedger = sent.some(a => toNumericId(a.productId) === event.productId &&
+      Math.abs(time(a.sentAt) - time(event.at)) < SAME_ALERT_WINDOW_MS);
+    if (inLedger) continue;
+    timeline.push({
+      type: 'alert',
+      ...event,
+      source: 'klaviyo-event',
+      productTitle: event.productTitle || titles.get(event.productId) || null,
+    });
+  }
+
+  for (const email of klaviyo.emails) {
+    timeline.push({ type: 'email', at: email.at, subject: email.subject });
+  }
+
+  for (const order of orders) {
+    timeline.push({
+      type: 'order',
+      at: order.createdAt,
+      orderId: order.id,
+      name: order.name,
+      lineItems: order.lineItems.map(item => ({ ...item, waitlisted: waitlisted.has(item.productId) })),
+    });
+  }
+
+  timeline.sort((a, b) => time(b.at) - time(a.at));
+
+  const latest = [...own].sort((a, b) => time(b.signupDate) - time(a.signupDate))[0];
+  return {
+    profileId,
+    email: latest.email,
+    emails,
+    name: own.map(e => e.name).find(Boolean) || null,
+    shopifyCustomerId: rows.map(r => r.shopifyCustomerId).find(Boolean) || null,
+    rows,
+    timeline,
+    warnings,
+    generatedAt: new Date().toISOString(),
+  };
+}
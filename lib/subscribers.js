@@ -0,0 +1,545 @@
+import { fetchAllPages, getMetricIdsByName } from './klaviyo';
+import {
+  getShopifyConfig,
+  getProductsByIds,
+  getCustomersByEmails,
+  getOrdersByEmails,
+  toNumericId,
+} from './shopify';
+import { describeApiError } from './api-client';
+import { readCollection, updateCollection } from './store';
+import { listAlerts, sameTarget } from './alert-ledger';
+import { listWaves } from './alert-waves';
+import { listEntries, syncKlaviyoSignups } from './waitlist';
+
+/**
+ * SUBSCRIBER SNAPSHOT
+ *
+ * Builds the dashboard's subscriber table from the waitlist store (one row
+ * per entry), Klaviyo (alert and received email events), Shopify (inventory,
+ * customers, orders) and our own alert ledger / wave queue.
+ *
+ * Alert status comes from the most reliable source that has it, recorded on
+ * each row as `alertSource`:
+ * - 'ledger': our own record of every alert event we sent, per product/variant
+ * - 'klaviyo-event': a "Back In Stock Alert" event for the product (and variant, if it has one)
+ * - 'waitlist': the entry is marked alerted
+ * - 'klaviyo-email': legacy fallback for signups from before the ledger - a
+ *   "Received Email" whose subject or preview matches ALERT_EMAIL_SUBJECT_PATTERNS.
+ *   It isn't tied to a product, so it is only checked for those older signups.
+ *
+ * Building the table is expensive, so GET /api/subscribers serves a cached
+ * snapshot (stale-while-revalidate): fresh snapshots are returned as-is,
+ * stale ones are returned immediately while a rebuild runs in the background.
+ *
+ * A row shows as ordered when Shopify has a matching order, but building the
+ * snapshot never changes waitlist statuses: whether someone is skipped can't
+ * depend on who last opened the dashboard. The send paths check orders
+ * themselves (findOrdered in lib/restock.js) and mark those entries ordered.
+ */
+
+const SNAPSHOT = 'subscribers-snapshot';
+const DEFAULT_MAX_AGE_SECONDS = 300;
+
+// Last snapshot held in memory; also persisted to the store for cold starts
+let cachedSnapshot = null;
+let inFlightBuild = null;
+
+// Collect a warning once (many rows can fail the same way)
+function addWarning(warnings, message) {
+  if (!warnings.includes(message)) warnings.push(message);
+}
+
+// Record a warning when a paginated read hit the KLAVIYO_MAX_PAGES cap
+function noteTruncated(result, label, warnings) {
+  if (result.truncated) {
+    warnings.push(`${label} truncated at KLAVIYO_MAX_PAGES - some rows may be missing`);
+  }
+}
+
+// Normalize curly/smart quotes to straight quotes for comparison
+function normalizeQuotes(str) {
+  return str.replace(/[\u2018\u2019\u201A\u201B]/g, "'").replace(/[\u201C\u201D\u201E\u201F]/g, '"');
+}
+
+const DEFAULT_EMAIL_SUBJECT_PATTERNS = [
+  'back in stock',
+  "it's here",
+  'ready to order',
+  'now available',
+  'in stock',
+  'restock',
+  'pre-order',
+  'preorder',
+];
+
+// ALERT_EMAIL_SUBJECT_PATTERNS (comma-separated, case-insensitive) replaces the defaults
+export function getEmailSubjectPatterns() {
+  const configured = (process.env.ALERT_EMAIL_SUBJECT_PATTERNS || '')
+    .split(',')
+    .map(p => normalizeQuotes(p.trim().toLowerCase()))
+    .filter(Boolean);
+  return configured.length > 0 ? configured : DEFAULT_EMAIL_SUBJECT_PATTERNS;
+}
+
+// Check if an email subject/preview looks like a BIS notification
+export function isBisEmailSubject(subject, preview, patterns) {
+  const s = normalizeQuotes((subject || '').toLowerCase());
+  const p = normalizeQuotes((preview || '').toLowerCase());
+  return patterns.some(pattern => s.includes(pattern) || p.includes(pattern));
+}
+
+// Signups before this time may use the Received Email fallback: ALERT_EMAIL_FALLBACK_BEFORE
+// (YYYY-MM-DD) if set, otherwise when the ledger started (its first alert). Returns a
+// timestamp, Infinity when the ledger is empty (everything is legacy), or null when
+// ALERT_EMAIL_FALLBACK=off.
+function getEmailFallbackCutoff(ledgerAlerts) {
+  if (process.env.ALERT_EMAIL_FALLBACK === 'off') return null;
+
+  const configured = new Date(`${process.env.ALERT_EMAIL_FALLBACK_BEFORE}T00:00:00Z`).getTime();
+  if (Number.isFinite(configured)) return configured;
+
+  return ledgerAlerts.length > 0 ? new Date(ledgerAlerts[0].sentAt).getTime() : Infinity;
+}
+
+// Fetch all Klaviyo metric IDs we need (called once, shared across functions)
+// Returns {} with a warning if Klaviyo can't be reached - alert status is then incomplete
+async function getMetricIds(warnings) {
+  try {
+    const ids = await getMetricIdsByName(['Back In Stock Alert', 'Received Email']);
+    return {
+      bisAlert: ids['Back In Stock Alert'],
+      receivedEmail: ids['Received Email'],
+    };
+  } catch (error) {
+    addWarning(warnings, `Alert status incomplete: Klaviyo metrics unavailable (${describeApiError(error)})`);
+    return {};
+  }
+}
+
+// Get "Back In Stock Alert" events globally (dedicated metric)
+async function getBisAlertEvents(metricId, warnings) {
+  if (!metricId) return new Map();
+
+  try {
+    const result = await fetchAllPages(
+      `/events/?filter=equals(metric_id,"${metricId}")&page[size]=100&sort=-datetime`
+    );
+    noteTruncated(result, 'Back In Stock Alert events', warnings);
+
+    const events = result.data;
+    const byProfile = new Map();
+
+    for (const event of events) {
+      const profileId = event.relationships?.profile?.data?.id;
+      if (!profileId) continue;
+
+      const props = event.attributes?.event_properties || {};
+      const alert = {
+        productId: props.ProductID || null,
+        variantId: props.VariantID || null,
+        date: event.attributes?.datetime || null,
+      };
+
+      if (!byProfile.has(profileId)) byProfile.set(profileId, []);
+      byProfile.get(profileId).push(alert);
+    }
+
+    console.log(`Found ${events.length} Back In Stock Alert events for ${byProfile.size} profiles`);
+    return byProfile;
+  } catch (error) {
+    console.error('Error fetching BIS alert events:', error);
+    addWarning(warnings, `Alert status incomplete: Back In Stock Alert events unavailable (${describeApiError(error)})`);
+    return new Map();
+  }
+}
+
+// Legacy fallback: check per-profile "Received Email" events for BIS-related subjects
+// This queries each profile individually so we don't miss emails buried in the global feed
+async function checkReceivedBisEmails(receivedEmailMetricId, profileIds, warnings) {
+  if (!receivedEmailMetricId || profileIds.length === 0) return new Map();
+
+  const byProfile = new Map();
+  const patterns = getEmailSubjectPatterns();
+
+  await Promise.all(
+    profileIds.map(async (profileId) => {
+      try {
+        const result = await fetchAllPages(
+          `/events/?filter=and(equals(metric_id,"${receivedEmailMetricId}"),equals(profile_id,"${profileId}"))&page[size]=50&sort=-datetime`
+        );
+        noteTruncated(result, `Received Email events for profile ${profileId}`, warnings);
+
+        const events = result.data;
+
+        for (const event of events) {
+          const props = event.attributes?.event_properties || {};
+          const subject = props.Subject || '';
+          const preview = props.$internal?.['Preview Text'] || '';
+
+          if (isBisEmailSubject(subject, preview, patterns)) {
+            const alert = {
+              date: event.attributes?.datetime || null,
+            };
+
+            if (!byProfile.has(profileId)) byProfile.set(profileId, []);
+            byProfile.get(profileId).push(alert);
+          }
+        }
+      } catch (err) {
+        console.log(`Error checking emails for profile ${profileId}:`, err.message);
+        addWarning(warnings, `Alert status incomplete: Received Email check failed for some profiles (${describeApiError(err)})`);
+      }
+    })
+  );
+
+  console.log(`Found BIS emails for ${byProfile.size} of ${profileIds.length} legacy profiles via Received Email check`);
+  return byProfile;
+}
+
+// Which allocation wave a signup was alerted in (from the alert ledger),
+// or which wave it is still queued for. Both null outside wave mode.
+function getWaveInfo(email, productId, variantId, signupDate, ledgerAlerts, pendingWaves) {
+  const normEmail = email.toLowerCase();
+  const normProductId = toNumericId(productId);
+  const signupTime = signupDate ? new Date(signupDate).getTime() : 0;
+
+  const sent = ledgerAlerts
+    .filter(a => a.wave && a.email === normEmail && sameTarget(a, productId, variantId) &&
+      new Date(a.sentAt).getTime() > signupTime)
+    .pop();
+
+  const queued = pendingWaves.find(w =>
+    toNumericId(w.product?.id) === normProductId &&
+    w.subscribers.some(s => s.email === normEmail)
+  );
+
+  return {
+    alertWave: sent?.wave || null,
+    queuedWave: sent ? null : (queued?.wave || null),
+  };
+}
+
+// Latest ledger alert for this subscriber + product since they signed up, with
+// what triggered it (webhook, wave, manual send, resend) and who - or null
+function getLastAlert(email, productId, variantId, signupDate, ledgerAlerts) {
+  const normEmail = email.toLowerCase();
+  const signupTime = signupDate ? new Date(signupDate).getTime() : 0;
+
+  const last = ledgerAlerts
+    .filter(a => a.email === normEmail && sameTarget(a, productId, variantId) &&
+      new Date(a.sentAt).getTime() > signupTime)
+    .pop();
+  if (!last) return null;
+
+  return {
+    trigger: last.trigger || (last.wave ? 'wave' : 'webhook'),
+    triggeredBy: last.triggeredBy || null,
+    sentAt: last.sentAt,
+  };
+}
+
+// Batch-load everything we need from Shopify for the whole table: products/variants,
+// customer IDs and orders. Each lookup is one GraphQL query per chunk of rows, and
+// repeated products are fetched once. A lookup that fails is returned as null
+// (unknown) with a warning, so it isn't mistaken for "no data".
+async function loadShopifyData(emails, signups, warnings) {
+  if (!getShopifyConfig()) {
+    return { productsById: new Map(), customersByEmail: new Map(), ordersByEmail: new Map() };
+  }
+
+  const productIds = signups.map(s => s.productId);
+  const earliestSignup = signups
+    .map(s => s.signupDate)
+    .filter(Boolean)
+    .sort((a, b) => new Date(a) - new Date(b))[0] || null;
+
+  const settle = async (promise, label) => {
+    try {
+      return await promise;
+    } catch (error) {
+      console.error(`Shopify ${label} lookup failed:`, error);
+      addWarning(warnings, `${label} incomplete: ${describeApiError(error)}`);
+      return null;
+    }
+  };
+
+  const [productsById, customersByEmail, ordersByEmail] = await Promise.all([
+    settle(getProductsByIds(productIds), 'Inventory'),
+    settle(getCustomersByEmails(emails), 'Shopify customer links'),
+    settle(getOrdersByEmails(emails, earliestSignup), 'Order status'),
+  ]);
+
+  return { productsById, customersByEmail, ordersByEmail };
+}
+
+// Whether a Klaviyo "Back In Stock Alert" event is for this entry's product/variant.
+// Events without a VariantID (older ones, product-level alerts) cover every variant.
+function matchesAlertEvent(alert, entry) {
+  if (!alert.productId || toNumericId(alert.productId) !== toNumericId(entry.productId)) return false;
+  if (!alert.variantId || !entry.variantId) return true;
+  return toNumericId(alert.variantId) === toNumericId(entry.variantId);
+}
+
+// Alert status for an entry since signup, from the most reliable source that has one
+// (see the module comment). emailAlerts is only passed for legacy signups.
+// Returns { alertSent, alertSource, alertedAt } - alertedAt is the earliest alert from
+// the tracked sources, or from the email fallback if that is all there is.
+function getAlertStatus(entry, ledgerAlerts, klaviyoAlerts, emailAlerts) {
+  const signupTime = entry.signupDate ? new Date(entry.signupDate).getTime() : 0;
+  const email = entry.email.toLowerCase();
+  const afterSignup = (dates) => dates
+    .map(d => new Date(d).getTime())
+    .filter(t => t > signupTime);
+  const earliest = (times) => (times.length > 0 ? new Date(Math.min(...times)).toISOString() : null);
+
+  const ledgerTimes = afterSignup(ledgerAlerts
+    .filter(a => a.email === email && sameTarget(a, entry.productId, entry.variantId))
+    .map(a => a.sentAt));
+  const eventTimes = afterSignup(klaviyoAlerts.filter(a => matchesAlertEvent(a, entry)).map(a => a.date));
+  const waitlistTimes = entry.alertedAt ? afterSignup([entry.alertedAt]) : [];
+  const trackedAt = earliest([...ledgerTimes, ...eventTimes, ...waitlistTimes]);
+
+  if (ledgerTimes.length > 0) return { alertSent: true, alertSource: 'ledger', alertedAt: trackedAt };
+  if (eventTimes.length > 0) return { alertSent: true, alertSource: 'klaviyo-event', alertedAt: trackedAt };
+  if (entry.status === 'alerted' || waitlistTimes.length > 0) {
+    return { alertSent: true, alertSource: 'waitlist', alertedAt: trackedAt };
+  }
+
+  const emailTimes = afterSignup(emailAlerts.map(a => a.date));
+  if (emailTimes.length > 0) {
+    return { alertSent: true, alertSource: 'klaviyo-email', alertedAt: earliest(emailTimes) };
+  }
+
+  return { alertSent: false, alertSource: null, alertedAt: null };
+}
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Orders containing this product since signup, split at the first alert.
+// Revenue counts only the matching line items (after discounts).
+// Returns { orderedAt, orderTiming, hoursToPurchase, revenueBeforeAlert, revenueAfterAlert, currency }
+// - orderTiming is 'after_alert' if any matching order came after the alert, 'before_alert'
+// if they all came before it (or there's been no alert), null with no orders -
+// or null if orders couldn't be loaded.
+function getOrderAttribution(ordersByEmail, email, productId, signupDate, alertedAt) {
+  if (!ordersByEmail) return null;
+
+  const numericProductId = toNumericId(productId);
+  const orders = email && productId ? ordersByEmail.get(email.toLowerCase()) || [] : [];
+  const signupTime = signupDate ? new Date(signupDate).getTime() : 0;
+  const alertTime = alertedAt ? new Date(alertedAt).getTime() : null;
+
+  const matching = orders
+    .filter(order =>
+      new Date(order.createdAt).getTime() >= signupTime &&
+      order.lineItems.some(item => item.productId === numericProductId)
+    )
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+  const result = {
+    orderedAt: matching[0]?.createdAt || null,
+    orderTiming: null,
+    hoursToPurchase: null,
+    revenueBeforeAlert: 0,
+    revenueAfterAlert: 0,
+    currency: null,
+  };
+
+  for (const order of matching) {
+    const items = order.lineItems.filter(item => item.productId === numericProductId);
+    const amount = items.reduce((sum, item) => sum + (item.amount || 0), 0);
+    result.currency = result.currency || items.find(item => item.currency)?.currency || null;
+
+    const orderTime = new Date(order.createdAt).getTime();
+    if (alertTime !== null && orderTime >= alertTime) {
+      result.revenueAfterAlert += amount;
+      result.orderTiming = 'after_alert';
+      if (result.hoursToPurchase === null) {
+        result.hoursToPurchase = Math.round((orderTime - alertTime) / 36e5 * 10) / 10;
+      }
+    } else {
+      result.revenueBeforeAlert += amount;
+      result.orderTiming = result.orderTiming || 'before_alert';
+    }
+  }
+
+  result.revenueBeforeAlert = roundMoney(result.revenueBeforeAlert);
+  result.revenueAfterAlert = roundMoney(result.revenueAfterAlert);
+  return result;
+}
+
+// Product inventory (total and for the signed-up variant) and SKU from the batch-loaded products
+function getProductData(productsById, productId, variantId) {
+  const product = productsById?.get(toNumericId(productId));
+  if (!product) return { inventory: null, variantInventory: null, sku: null };
+
+  // Get SKU - prefer matching variant, fall back to first
+  const numericVariantId = toNumericId(variantId);
+  const matchingVariant = numericVariantId && product.variants.find(v => v.id === numericVariantId);
+  const sku = matchingVariant?.sku || product.variants[0]?.sku || null;
+
+  return { inventory: product.inventory, variantInventory: matchingVariant?.inventory ?? null, sku };
+}
+
+// Alert status of each entry (see getAlertStatus): the tracked sources first - our ledger,
+// Klaviyo alert events, the waitlist - then, only for legacy signups none of those cover,
+// the per-profile Received Email check. Also used by reconciliation, so signups from before
+// the ledger aren't taken for never alerted. Klaviyo failures become warnings.
+// Returns Map entryId -> { alertSent, alertSource, alertedAt }
+export async function getAlertStatuses(entries, ledgerAlerts, warnings) {
+  const metricIds = await getMetricIds(warnings);
+  const bisAlertsByProfile = await getBisAlertEvents(metricIds.bisAlert, warnings);
+
+  const trackedStatus = new Map(entries.map(entry => [
+    entry.id,
+    getAlertStatus(entry, ledgerAlerts, bisAlertsByProfile.get(entry.profileId) || [], []),
+  ]));
+  const cutoff = getEmailFallbackCutoff(ledgerAlerts);
+  const isLegacy = (entry) => cutoff !== null && Boolean(entry.profileId) &&
+    !trackedStatus.get(entry.id).alertSent &&
+    new Date(entry.signupDate || 0).getTime() < cutoff;
+  const legacyProfileIds = [...new Set(entries.filter(isLegacy).map(e => e.profileId))];
+  const emailAlertsByProfile = await checkReceivedBisEmails(metricIds.receivedEmail, legacyProfileIds, warnings);
+
+  return new Map(entries.map(entry => [
+    entry.id,
+    isLegacy(entry)
+      ? getAlertStatus(entry, [], [], emailAlertsByProfile.get(entry.profileId) || [])
+      : trackedStatus.get(entry.id),
+  ]));
+}
+
+// Build the full subscriber table. Klaviyo and Shopify failures become warnings.
+export async function buildSubscriberSnapshot() {
+  const warnings = [];
+
+  // Pick up signups that only exist in Klaviyo so far (no-op once sync is off)
+  try {
+    await syncKlaviyoSignups();
+  } catch (error) {
+    addWarning(warnings, `New Klaviyo signups not synced: ${describeApiError(error)}`);
+  }
+
+  const entries = await listEntries();
+
+  const [ledgerAlerts, waves] = await Promise.all([listAlerts(), listWaves()]);
+  const pendingWaves = waves.filter(w => w.status === 'pending' || w.status === 'processing');
+  const alertStatuses = await getAlertStatuses(entries, ledgerAlerts, warnings);
+
+  // Batch-load Shopify products, customers and orders for every row at once
+  const emails = entries.map(e => e.email);
+  const { productsById, customersByEmail, ordersByEmail } =
+    await loadShopifyData(emails, entries, warnings);
+
+  // Build one row per waitlist entry
+  const subscribers = [];
+
+  for (const entry of entries) {
+    const { email } = entry;
+    const { alertSent, alertSource, alertedAt } = alertStatuses.get(entry.id);
+
+    const { inventory, variantInventory, sku } = getProductData(productsById, entry.productId, entry.variantId);
+    const attribution = getOrderAttribution(ordersByEmail, email, entry.productId, entry.signupDate, alertedAt);
+    const ordered = entry.status === 'ordered' || (attribution ? attribution.orderedAt !== null : null);
+    const { alertWave, queuedWave } = getWaveInfo(
+      email, entry.productId, entry.variantId, entry.signupDate, ledgerAlerts, pendingWaves
+    );
+    const lastAlert = getLastAlert(email, entry.productId, entry.variantId, entry.signupDate, ledgerAlerts);
+
+    subscribers.push({
+      id: entry.id,
+      profileId: entry.profileId,
+      email,
+      name: entry.name,
+      productId: entry.productId,
+      productTitle: entry.productTitle,
+      productUrl: entry.productUrl,
+      variantId: entry.variantId,
+      signupDate: entry.signupDate,
+      status: ordered === true && entry.status !== 'cancelled' ? 'ordered' : entry.status,
+      source: entry.source,
+      cancelledAt: entry.cancelledAt || null,
+      cancelledBy: entry.cancelledBy || null,
+      alertSent,
+      alertSource,
+      alertedAt,
+      alertWave,
+      queuedWave,
+      lastAlert,
+      ordered,
+      orderedAt: attribution?.orderedAt ?? null,
+      orderTiming: attribution?.orderTiming ?? null,
+      hoursToPurchase: attribution?.hoursToPurchase ?? null,
+      revenueBeforeAlert: attribution?.revenueBeforeAlert ?? null,
+      revenueAfterAlert: attribution?.revenueAfterAlert ?? null,
+      currency: attribution?.currency ?? null,
+      inventory,
+      variantInventory,
+      sku,
+      shopifyCustomerId: customersByEmail?.get(email) || null,
+    });
+  }
+
+  // Sort by signup date (newest first)
+  subscribers.sort((a, b) => {
+    const aDate = new Date(a.signupDate || 0);
+    const bDate = new Date(b.signupDate || 0);
+    return bDate - aDate;
+  });
+
+  return {
+    subscribers,
+    warnings,
+    generatedAt: new Date().toISOString(),
+  };
+}
+
+function getMaxAgeMs() {
+  const value = parseInt(process.env.SNAPSHOT_MAX_AGE_SECONDS, 10);
+  return (Number.isFinite(value) && value >= 0 ? value : DEFAULT_MAX_AGE_SECONDS) * 1000;
+}
+
+function isFresh(snapshot) {
+  return Date.now() - new Date(snapshot.generatedAt).getTime() < getMaxAgeMs();
+}
+
+// Rebuild the snapshot, sharing one build between concurrent callers
+function rebuildSnapshot() {
+  if (!inFlightBuild) {
+    inFlightBuild = buildSubscriberSnapshot()
+      .then(async (snapshot) => {
+        cachedSnapshot = snapshot;
+        await updateCollection(SNAPSHOT, () => ({ data: snapshot, result: undefined }), null)
+          .catch(error => console.error('Failed to persist subscriber snapshot:', error));
+        return snapshot;
+      })
+      .finally(() => {
+        inFlightBuild = null;
+      });
+  }
+  return inFlightBuild;
+}
+
+// Get the subscriber snapshot (stale-while-revalidate).
+// Returns { ...snapshot, stale, refreshing }.
+// - forceRefresh: wait for a fresh build
+// - no snapshot yet: wait for the first build
+// - stale snapshot: return it now and rebuild in the background
+export async function getSubscriberSnapshot({ forceRefresh = false } = {}) {
+  if (!cachedSnapshot) {
+    cachedSnapshot = await readCollection(SNAPSHOT, null);
+  }
+
+  if (forceRefresh || !cachedSnapshot) {
+    const snapshot = await rebuildSnapshot();
+    return { ...snapshot, stale: false, refreshing: false };
+  }
+
+  if (isFresh(cachedSnapshot)) {
+    return { ...cachedSnapshot, stale: false, refreshing: Boolean(inFlightBuild) };
+  }
+
+  rebuildSnapshot().catch(error => console.error('Background snapshot rebuild failed:', error));
+  return { ...cachedSnapshot, stale: true, refreshing: true };
+}
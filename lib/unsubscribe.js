@@ -0,0 +1,54 @@
+import crypto from 'crypto';
+import { safeEqual } from './webhook-auth';
+
+/**
+ * UNSUBSCRIBE LINKS
+ *
+ * Signed per-subscriber links that take someone off a waitlist without
+ * signing in. A link names the waitlist entries one alert covered and carries
+ * an HMAC-SHA256 of them keyed with UNSUBSCRIBE_SECRET:
+ *
+ *   <APP_URL>/unsubscribe?entries=<id>,<id>&token=<signature>
+ *
+ * Sent as the alert event's UnsubscribeURL property for the email template;
+ * /unsubscribe checks the signature and marks the entries cancelled. Without
+ * UNSUBSCRIBE_SECRET and APP_URL no links are generated.
+ */
+
+export const UNSUBSCRIBE_PATH = '/unsubscribe';
+
+function getSecret() {
+  return process.env.UNSUBSCRIBE_SECRET || null;
+}
+
+// Public base URL of this app: APP_URL, or Vercel's production domain
+function getAppUrl() {
+  if (process.env.APP_URL) return process.env.APP_URL.replace(/\/$/, '');
+  if (process.env.VERCEL_PROJECT_PRODUCTION_URL) return `https://${process.env.VERCEL_PROJECT_PRODUCTION_URL}`;
+  return null;
+}
+
+function sign(entryIds, secret) {
+  return crypto.createHmac('sha256', secret).update(entryIds.join(','), 'utf8').digest('base64url');
+}
+
+// Unsubscribe URL for these waitlist entries, or null if links aren't configured
+export function buildUnsubscribeUrl(entryIds) {
+  const secret = getSecret();
+  const appUrl = getAppUrl();
+  if (!secret || !appUrl || !entryIds?.length) return null;
+
+  const ids = [...entryIds].sort();
+  const params = new URLSearchParams({ entries: ids.join(','), token: sign(ids, secret) });
+  return `${appUrl}${UNSUBSCRIBE_PATH}?${params}`;
+}
+
+// Entry IDs from an unsubscribe link's query, or null if the signature doesn't match
+export function verifyUnsubscribeParams(searchParams) {
+  const secret = getSecret();
+  const ids = (searchParams.get('entries') || '').split(',').filter(Boolean).sort();
+  const token = searchParams.get('token') || '';
+  if (!secret || ids.length === 0 || !token) return null;
+
+  return safeEqual(token, sign(ids, secret)) ? ids : null;
+}
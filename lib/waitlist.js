@@ -0,0 +1,243 @@
+import crypto from 'crypto';
+import { readCollection, updateCollection } from './store';
+import { fetchAllPages, getMetricIdsByName } from './klaviyo';
+import { toNumericId } from './shopify';
+
+/**
+ * WAITLIST STORE
+ *
+ * The app's own record of who is waiting for what. One entry per
+ * subscriber + product/variant:
+ *
+ *   { id, email, name, profileId, productId, variantId, productHandle,
+ *     productTitle, productUrl, productImage, signupDate, status, source,
+ *     klaviyoEventIds, createdAt, updatedAt }
+ *
+ * status: 'waiting' -> 'alerted' -> 'ordered', or 'cancelled' at any point.
+ * source: 'form' (POST /api/signup) or 'klaviyo-import' (backfilled from
+ * "Back In Stock Signup" events).
+ *
+ * Klaviyo is only used for sending. Until every signup goes through
+ * /api/signup, readers call syncKlaviyoSignups() to pull in any new
+ * "Back In Stock Signup" events since the last import (WAITLIST_KLAVIYO_SYNC=off
+ * turns that off).
+ */
+
+const WAITLIST = 'waitlist';
+const META = 'waitlist-meta';
+
+export const STATUSES = ['waiting', 'alerted', 'ordered', 'cancelled'];
+
+// Entries still eligible for a restock alert
+const ACTIVE_STATUSES = ['waiting', 'alerted'];
+
+const now = () => new Date().toISOString();
+
+// Same subscriber and same product/variant
+function sameTarget(entry, email, productId, variantId) {
+  return entry.email === email &&
+    entry.productId === toNumericId(productId) &&
+    (entry.variantId || null) === (toNumericId(variantId) || null);
+}
+
+// Insert or merge a signup into a list of entries (mutates `entries`).
+// An active entry for the same subscriber + variant absorbs the new signup
+// (keeping the earliest signup date) instead of creating a duplicate.
+// Returns { entry, created }
+function upsertSignup(entries, signup) {
+  const email = signup.email.trim().toLowerCase();
+
+  const existing = entries.find(e =>
+    ACTIVE_STATUSES.includes(e.status) &&
+    sameTarget(e, email, signup.productId, signup.variantId)
+  );
+
+  if (existing) {
+    if (signup.klaviyoEventId && !existing.klaviyoEventIds.includes(signup.klaviyoEventId)) {
+      existing.klaviyoEventIds.push(signup.klaviyoEventId);
+    }
+    if (signup.signupDate && new Date(signup.signupDate) < new Date(existing.signupDate)) {
+      existing.signupDate = signup.signupDate;
+    }
+    existing.profileId = existing.profileId || signup.profileId || null;
+    existing.name = existing.name || signup.name || '';
+    existing.updatedAt = now();
+    return { entry: existing, created: false };
+  }
+
+  const entry = {
+    id: crypto.randomUUID(),
+    email,
+    name: signup.name || '',
+    profileId: signup.profileId || null,
+    productId: toNumericId(signup.productId),
+    variantId: toNumericId(signup.variantId),
+    productHandle: signup.productHandle || null,
+    productTitle: signup.productTitle || null,
+    productUrl: signup.productUrl || null,
+    productImage: signup.productImage || null,
+    signupDate: signup.signupDate || now(),
+    status: 'waiting',
+    source: signup.source || 'form',
+    klaviyoEventIds: signup.klaviyoEventId ? [signup.klaviyoEventId] : [],
+    createdAt: now(),
+    updatedAt: now(),
+  };
+  entries.push(entry);
+  return { entry, created: true };
+}
+
+// Add a signup to the waitlist. Returns { entry, created } - created is false
+// when the subscriber was already waiting for this product/variant.
+export async function addSignup(signup) {
+  return updateCollection(WAITLIST, (entries) => {
+    const result = upsertSignup(entries, signup);
+    return { data: entries, result };
+  });
+}
+
+// All waitlist entries, optionally filtered by status
+export async function listEntries({ statuses = null } = {}) {
+  const entries = await readCollection(WAITLIST);
+  return statuses ? entries.filter(e => statuses.includes(e.status)) : entries;
+}
+
+// A single entry by ID, or null
+export async function getEntry(id) {
+  const entries = await readCollection(WAITLIST);
+  return entries.find(e => e.id === id) || null;
+}
+
+// Entries still eligible for alerts (waiting or previously alerted, not ordered/cancelled)
+export async function listActiveEntries() {
+  return listEntries({ statuses: ACTIVE_STATUSES });
+}
+
+// Merge fields into a single entry (e.g. a profileId learned after signup)
+export async function updateEntry(id, fields) {
+  return updateCollection(WAITLIST, (entries) => {
+    const entry = entries.find(e => e.id === id);
+    if (entry) Object.assign(entry, fields, { updatedAt: now() });
+    return { data: entries, result: entry || null };
+  });
+}
+
+// Set the status of several entries at once. `extra` fields are merged in
+// (e.g. alertedAt). Entries already in the target status are left alone.
+export async function setStatus(ids, status, extra = {}) {
+  if (!STATUSES.includes(status)) throw new Error(`Unknown waitlist status: ${status}`);
+  const idSet = new Set(ids);
+  if (idSet.size === 0) return 0;
+
+  return updateCollection(WAITLIST, (entries) => {
+    let changed = 0;
+    for (const entry of entries) {
+      if (!idSet.has(entry.id) || entry.status === status) continue;
+      Object.assign(entry, extra, { status, updatedAt: now() });
+      changed++;
+    }
+    return { data: entries, result: changed };
+  });
+}
+
+// Import "Back In Stock Signup" events from Klaviyo into the waitlist.
+// Idempotent: events already imported (by event ID) are skipped. With `since`,
+// only events newer than that datetime are fetched. Records the newest event
+// seen so syncKlaviyoSignups() can pick up from there.
+// Returns { imported, merged, skipped, truncated, lastEventAt }
+export async function importKlaviyoSignups({ since = null } = {}) {
+  const { 'Back In Stock Signup': metricId } = await getMetricIdsByName(['Back In Stock Signup']);
+  if (!metricId) {
+    return { imported: 0, merged: 0, skipped: 0, truncated: false, lastEventAt: since };
+  }
+
+  // Klaviyo's datetimes carry a +00:00 offset, and an unencoded + reads as a space
+  const filter = encodeURIComponent(since
+    ? `and(equals(metric_id,"${metricId}"),greater-than(datetime,${new Date(since).toISOString()}))`
+    : `equals(metric_id,"${metricId}")`);
+
+  const result = await fetchAllPages(
+    `/events/?filter=${filter}&include=profile&page[size]=100&sort=datetime`
+  );
+
+  const profiles = new Map(
+    result.included.filter(r => r.type === 'profile').map(p => [p.id, p.attributes || {}])
+  );
+
+  const stats = {
+    imported: 0,
+    merged: 0,
+    skipped: 0,
+    truncated: result.truncated,
+    lastEventAt: since ? new Date(since).toISOString() : null,
+  };
+
+  await updateCollection(WAITLIST, (entries) => {
+    const knownEventIds = new Set(entries.flatMap(e => e.klaviyoEventIds || []));
+
+    for (const event of result.data) {
+      const datetime = event.attributes?.datetime || null;
+      // Kept as a Z timestamp so the string comparisons here and in META hold
+      const eventAt = datetime ? new Date(datetime).toISOString() : null;
+      if (eventAt && (!stats.lastEventAt || eventAt > stats.lastEventAt)) {
+        stats.lastEventAt = eventAt;
+      }
+
+      const profileId = event.relationships?.profile?.data?.id;
+      const profile = profiles.get(profileId) || {};
+      const props = event.attributes?.event_properties || {};
+
+      if (knownEventIds.has(event.id) || !profile.email || !props.ProductID) {
+        stats.skipped++;
+        continue;
+      }
+
+      const { created } = upsertSignup(entries, {
+        email: profile.email,
+        name: [profile.first_name, profile.last_name].filter(Boolean).join(' '),
+        profileId,
+        productId: props.ProductID,
+        variantId: props.VariantID,
+        productHandle: props.ProductHandle,
+        productTitle: props.ProductTitle,
+        productUrl: props.ProductURL,
+        productImage: props.ProductImage,
+        signupDate: props.SignupDate || datetime,
+        source: 'klaviyo-import',
+        klaviyoEventId: event.id,
+      });
+      knownEventIds.add(event.id);
+      if (created) stats.imported++;
+      else stats.merged++;
+    }
+
+    return { data: entries, result: undefined };
+  });
+
+  await updateCollection(META, (current) => {
+    const lastEventAt = [current.lastEventAt, stats.lastEventAt]
+      .filter(Boolean)
+      .map(at => new Date(at).toISOString())
+      .sort()
+      .pop() || null;
+    return { data: { ...current, lastEventAt, lastSyncAt: now() }, result: undefined };
+  }, {});
+
+  return stats;
+}
+
+// Pull in signup events created since the last import. No-op when
+// WAITLIST_KLAVIYO_SYNC=off (once every signup goes through /api/signup).
+// Throws if Klaviyo can't be read; callers catch it and carry on with the
+// entries already imported, so alerts never wait on a Klaviyo read.
+export async function syncKlaviyoSignups() {
+  if (process.env.WAITLIST_KLAVIYO_SYNC === 'off') return null;
+
+  const meta = await readCollection(META, {});
+  const stats = await importKlaviyoSignups({ since: meta.lastEventAt || null });
+
+  if (stats.imported > 0 || stats.merged > 0) {
+    console.log(`Synced Klaviyo signups: ${stats.imported} new, ${stats.merged} merged`);
+  }
+  return stats;
+}
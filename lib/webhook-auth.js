@@ -0,0 +1,105 @@
+import crypto from 'crypto';
+import { STAFF_HEADER } from './session';
+
+/**
+ * WEBHOOK AUTH
+ *
+ * Verifies that an inventory webhook call really came from us:
+ * - Shopify Flow "Send HTTP request" actions send a shared secret header
+ * - Native Shopify webhooks are signed with X-Shopify-Hmac-Sha256 over the raw body
+ *
+ * Also holds the checks for cron jobs (CRON_SECRET) and dashboard actions
+ * (staff session or ADMIN_API_TOKEN).
+ */
+
+export const FLOW_SECRET_HEADER = 'x-webhook-secret';
+export const SHOPIFY_HMAC_HEADER = 'x-shopify-hmac-sha256';
+
+// Constant-time string comparison (lengths are compared first, which leaks nothing useful)
+export function safeEqual(a, b) {
+  const bufA = Buffer.from(a || '', 'utf8');
+  const bufB = Buffer.from(b || '', 'utf8');
+  if (bufA.length === 0 || bufA.length !== bufB.length) return false;
+  return crypto.timingSafeEqual(bufA, bufB);
+}
+
+// Check X-Shopify-Hmac-Sha256 against the raw request body
+export function verifyShopifyHmac(rawBody, hmacHeader, secret) {
+  if (!hmacHeader || !secret) return false;
+  const digest = crypto
+    .createHmac('sha256', secret)
+    .update(rawBody, 'utf8')
+    .digest('base64');
+  return safeEqual(digest, hmacHeader);
+}
+
+// Check the shared secret header sent by Shopify Flow
+export function verifyFlowSecret(headerValue, secret) {
+  if (!headerValue || !secret) return false;
+  return safeEqual(headerValue, secret);
+}
+
+// Authenticate a webhook request. Must be given the raw body text, not parsed JSON,
+// because the HMAC is computed over the exact bytes Shopify sent.
+// Returns { ok: true, method } or { ok: false, reason }
+export function authenticateWebhook(request, rawBody) {
+  const flowSecret = process.env.INVENTORY_WEBHOOK_SECRET;
+  const shopifySecret = process.env.SHOPIFY_WEBHOOK_SECRET;
+
+  if (!flowSecret && !shopifySecret) {
+    return { ok: false, reason: 'No webhook secret configured' };
+  }
+
+  const hmacHeader = request.headers.get(SHOPIFY_HMAC_HEADER);
+  if (hmacHeader) {
+    if (verifyShopifyHmac(rawBody, hmacHeader, shopifySecret)) {
+      return { ok: true, method: 'shopify-hmac' };
+    }
+    return { ok: false, reason: 'Invalid Shopify HMAC signature' };
+  }
+
+  const secretHeader = request.headers.get(FLOW_SECRET_HEADER);
+  if (secretHeader) {
+    if (verifyFlowSecret(secretHeader, flowSecret)) {
+      return { ok: true, method: 'shared-secret' };
+    }
+    return { ok: false, reason: 'Invalid shared secret' };
+  }
+
+  return { ok: false, reason: 'Missing authentication header' };
+}
+
+// Check `Authorization: Bearer <CRON_SECRET>` on cron jobs and maintenance calls
+// (Vercel Cron sends this header automatically when CRON_SECRET is set)
+export function verifyCronSecret(request) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) return false;
+  return safeEqual(request.headers.get('authorization'), `Bearer ${secret}`);
+}
+
+// Check who is behind a dashboard action (manual send/resend).
+// Signed-in staff: middleware.js has verified the session and set the staff header.
+// Scripts: `Authorization: Bearer <ADMIN_API_TOKEN>` plus X-Staff-Name saying who is acting.
+// The actor is recorded with the alert. Returns { ok: true, actor } or { ok: false, reason }
+export function verifyAdminRequest(request) {
+  const staff = request.headers.get(STAFF_HEADER);
+  if (staff) return { ok: true, actor: staff };
+
+  const token = process.env.ADMIN_API_TOKEN;
+  if (!token) return { ok: false, reason: 'ADMIN_API_TOKEN not configured' };
+  if (!safeEqual(request.headers.get('authorization'), `Bearer ${token}`)) {
+    return { ok: false, reason: 'Invalid admin token' };
+  }
+
+  const actor = (request.headers.get('x-staff-name') || '').trim().slice(0, 100);
+  if (!actor) return { ok: false, reason: 'Missing X-Staff-Name header' };
+
+  return { ok: true, actor };
+}
+
+// Log a rejected call with enough context to spot probing, without logging the secret itself
+export function logUnauthorized(request, reason) {
+  const ip = request.headers.get('x-forwarded-for')?.split(',')[0].trim() || 'unknown';
+  const userAgent = request.headers.get('user-agent') || 'unknown';
+  console.warn(`Unauthorized webhook call rejected: ${reason} (ip=${ip}, ua=${userAgent})`);
+}
@@ -0,0 +1,116 @@
+import crypto from 'crypto';
+import { readCollection, updateCollection } from './store';
+import { hitRateLimit } from './rate-limit';
+
+/**
+ * WEBHOOK AUDIT LOG
+ *
+ * One record per inventory webhook call, kept in the local store (the last
+ * MAX_CALLS) so what happened to a restock can be looked up after Vercel's
+ * logs have expired:
+ *
+ *   { id, receivedAt, auth, reason, topic, dryRun, payload, outcome, httpStatus, message,
+ *     productId, variantId, jobId, jobStatus, product, subscribers, results,
+ *     counts, errors, finishedAt }
+ *
+ * outcome is what the webhook answered: 'unauthorized', 'invalid', 'ignored',
+ * 'duplicate', 'queued', 'dry_run' or 'error'. For queued calls the restock job
+ * (lib/restock-jobs.js) fills in the resolved product, the matched subscribers,
+ * each alert's result and any errors as it runs.
+ *
+ * Anyone can call the webhook, so unauthorized calls go to a separate, smaller
+ * collection - without their payload, and at most REJECTED_PER_MINUTE a minute -
+ * where a flood of them can't push real restocks out of the log. The list and
+ * lookups below read both.
+ */
+
+const CALLS = 'webhook-log';
+const MAX_CALLS = 300;
+const REJECTED = 'webhook-log-rejected';
+const MAX_REJECTED = 50;
+const REJECTED_PER_MINUTE = 10;
+// Longest raw body kept when a payload isn't valid JSON
+const MAX_RAW_PAYLOAD = 2000;
+
+export const WEBHOOK_OUTCOMES = ['unauthorized', 'invalid', 'ignored', 'duplicate', 'queued', 'dry_run', 'error'];
+
+export function newWebhookCallId() {
+  return crypto.randomUUID();
+}
+
+// The payload as stored: parsed JSON, or the start of the raw body
+export function payloadForLog(body, rawBody) {
+  if (body && typeof body === 'object') return body;
+  return rawBody ? rawBody.slice(0, MAX_RAW_PAYLOAD) : null;
+}
+
+// Store a webhook call. Returns the record (unauthorized calls over the rate limit aren't stored).
+export async function logWebhookCall(fields) {
+  const call = {
+    id: fields.id || newWebhookCallId(),
+    receivedAt: new Date().toISOString(),
+    productId: null,
+    variantId: null,
+    jobId: null,
+    jobStatus: null,
+    product: null,
+    subscribers: [],
+    results: [],
+    counts: null,
+    errors: [],
+    ...fields,
+  };
+
+  if (call.outcome === 'unauthorized') {
+    if (!hitRateLimit('webhook-log:rejected', REJECTED_PER_MINUTE, 60 * 1000).allowed) return call;
+    await updateCollection(REJECTED, (calls) => ({ data: [...calls, call].slice(-MAX_REJECTED), result: undefined }));
+    return call;
+  }
+
+  await updateCollection(CALLS, (calls) => ({ data: [...calls, call].slice(-MAX_CALLS), result: undefined }));
+  return call;
+}
+
+// Merge fields into a logged call; `error` appends to its errors. Missing IDs are ignored.
+export async function updateWebhookCall(id, { error, ...fields } = {}) {
+  if (!id) return null;
+
+  return updateCollection(CALLS, (calls) => {
+    const call = calls.find(c => c.id === id);
+    if (call) {
+      Object.assign(call, fields);
+      if (error) call.errors = [...(call.errors || []), { at: new Date().toISOString(), message: error }];
+    }
+    return { data: calls, result: call ? { ...call } : null };
+  });
+}
+
+// Both collections, oldest first
+async function readAllCalls() {
+  const [calls, rejected] = await Promise.all([readCollection(CALLS), readCollection(REJECTED)]);
+  return [...calls, ...rejected].sort((a, b) => a.receivedAt.localeCompare(b.receivedAt));
+}
+
+// One call with everything recorded for it, or null
+export async function getWebhookCall(id) {
+  const calls = await readAllCalls();
+  return calls.find(c => c.id === id) || null;
+}
+
+// Recent calls, newest first, without the bulky payload/subscriber/result lists.
+// `product` matches the product ID, variant ID or (resolved) product title.
+export async function listWebhookCalls({ product = '', outcome = '', limit = 50 } = {}) {
+  const calls = await readAllCalls();
+  const needle = product.trim().toLowerCase();
+
+  return [...calls]
+    .reverse()
+    .filter(c => !outcome || c.outcome === outcome)
+    .filter(c => !needle || [c.productId, c.variantId, c.product?.id, c.product?.title]
+      .some(value => value && String(value).toLowerCase().includes(needle)))
+    .slice(0, limit)
+    .map(({ payload, subscribers, results, ...call }) => ({
+      ...call,
+      subscribersFound: subscribers?.length || 0,
+    }));
+}
@@ -0,0 +1,77 @@
+import { NextResponse } from 'next/server';
+import {
+  STAFF_HEADER,
+  constantTimeEqual,
+  getSessionFromRequest,
+  isLoginConfigured,
+} from './lib/session';
+
+/**
+ * DASHBOARD LOGIN
+ *
+ * Every page and API route requires a staff session (lib/session.js), except:
+ * - the login page and login/logout API
+ * - webhook and cron routes, which check their own secrets
+ * - public routes for customers (signup, unsubscribe links)
+ *
+ * API calls without a session get a 401; pages redirect to /login.
+ * Scripts can call protected API routes with `Authorization: Bearer <ADMIN_API_TOKEN>`
+ * instead of a cookie.
+ *
+ * If DASHBOARD_PASSWORD isn't set, protected routes stay locked (fail closed).
+ */
+
+const PUBLIC_PATHS = [
+  '/login',
+  '/api/auth/login',
+  '/api/auth/logout',
+  '/api/inventory-webhook', // X-Webhook-Secret / Shopify HMAC (dry runs check the session themselves)
+  '/api/alert-waves', // CRON_SECRET
+  '/api/jobs/process', // CRON_SECRET
+  '/api/reconcile', // CRON_SECRET (staff runs check the session themselves)
+  '/api/waitlist/import', // CRON_SECRET
+  '/api/signup', // notify-me form
+  '/unsubscribe', // signed link from alert emails
+];
+
+function isPublic(pathname) {
+  return PUBLIC_PATHS.some(p => pathname === p || pathname.startsWith(`${p}/`));
+}
+
+function hasAdminToken(request) {
+  const token = process.env.ADMIN_API_TOKEN;
+  return Boolean(token) && constantTimeEqual(request.headers.get('authorization') || '', `Bearer ${token}`);
+}
+
+export async function middleware(request) {
+  const { pathname, search } = request.nextUrl;
+
+  // Never trust a staff header from the client
+  const headers = new Headers(request.headers);
+  headers.delete(STAFF_HEADER);
+
+  if (isPublic(pathname)) {
+    return NextResponse.next({ request: { headers } });
+  }
+
+  const session = isLoginConfigured() ? await getSessionFromRequest(request) : null;
+  if (session) {
+    headers.set(STAFF_HEADER, session.email);
+    return NextResponse.next({ request: { headers } });
+  }
+
+  if (pathname.startsWith('/api/')) {
+    if (hasAdminToken(request)) {
+      return NextResponse.next({ request: { headers } });
+    }
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+  }
+
+  const loginUrl = new URL('/login', request.url);
+  loginUrl.searchParams.set('next', `${pathname}${search}`);
+  return NextResponse.redirect(loginUrl);
+}
+
+export const config = {
+  matcher: ['/((?!_next/static|_next/image|favicon.ico).*)'],
+};
@@ -0,0 +1,31 @@
+// Backfill the waitlist store from Klaviyo "Back In Stock Signup" events.
+//
+// Usage:
+//   APP_URL=https://your-project.vercel.app CRON_SECRET=... npm run import:signups
+//
+// APP_URL defaults to http://localhost:3000 (a running `npm run dev`).
+
+const appUrl = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+const secret = process.env.CRON_SECRET;
+
+if (!secret) {
+  console.error('CRON_SECRET not set');
+  process.exit(1);
+}
+
+const res = await fetch(`${appUrl}/api/waitlist/import`, {
+  method: 'POST',
+  headers: { Authorization: `Bearer ${secret}` },
+});
+
+const body = await res.json().catch(() => ({}));
+
+if (!res.ok) {
+  console.error(`Import failed (${res.status}):`, body.error || body);
+  process.exit(1);
+}
+
+console.log(`Imported ${body.imported}, merged ${body.merged}, skipped ${body.skipped}`);
+if (body.truncated) {
+  console.warn('Klaviyo results were truncated by KLAVIYO_MAX_PAGES - raise it and run again');
+}